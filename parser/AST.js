@@ -34,12 +34,15 @@ var output = [];
 // and generates corresponding code for it.
 
 /**
- * Compiles an AST, and prints the generated code.
+ * Compiles an AST, prints the generated code, and returns it.
  */
 function compile(ast) {
   output = [];
+  prevBinaryOp = undefined;
   _compile(ast);
-  console.log(output.join(''));
+  var code = output.join('');
+  console.log(code);
+  return code;
 }
 
 /**
@@ -136,19 +139,25 @@ function binary(op, lhs, rhs) {
   }
 }
 
-// Tests!
+module.exports = {
+  compile: compile,
+};
+
+// Tests! (run when the file is executed directly: `node AST.js`)
 
-// 1 + 2
-compile(['+', 1, 2]);
+if (require.main === module) {
+  // 1 + 2
+  compile(['+', 1, 2]);
 
-// 5 + 1 + 2
-compile(['+', 5, ['+', 1, 2]]);
+  // 5 + 1 + 2
+  compile(['+', 5, ['+', 1, 2]]);
 
-// 2 + 2 * 2
-compile(['+', 2, ['*', 2, 2]]);
+  // 2 + 2 * 2
+  compile(['+', 2, ['*', 2, 2]]);
 
-// (2 + 2) * 2
-compile(['*', ['+', 2, 2], 2]);
+  // (2 + 2) * 2
+  compile(['*', ['+', 2, 2], 2]);
 
-// 2 * (2 + 2) + (1 + 4) * 3
-compile(['+', ['*', 2, ['+', 2, 2]], ['*', ['+', 1, 4], 3]]);
+  // 2 * (2 + 2) + (1 + 4) * 3
+  compile(['+', ['*', 2, ['+', 2, 2]], ['*', ['+', 1, 4], 3]]);
+}
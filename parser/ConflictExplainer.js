@@ -0,0 +1,863 @@
+/**
+ * = Counterexamples for the LR conflicts =
+ *
+ * A conflict of an LR table (see "LRParsingTable.js") says what the parser
+ * cannot decide, but not why. The explainer shows it as Bison does with
+ * `-Wcounterexamples`: a shortest prefix of symbols which brings the parser
+ * to the conflict state with the conflict terminal next, and a derivation
+ * of an example for each of the competing actions:
+ *
+ *   Shift/reduce conflict in state 4 on "+": ...
+ *     Prefix: E "+" E
+ *     Shift to state 3: E "+" E • "+" E
+ *       E
+ *       ↳ 1: E "+" E
+ *                  ↳ 1: E • "+" E
+ *     Reduce by production 1: E "+" E • "+" E
+ *       E
+ *       ↳ 1: E              "+" E
+ *            ↳ 1: E "+" E •
+ *     The same example has both derivations: the grammar is ambiguous.
+ *
+ * `↳ 1:` is the production which derives the symbol above, and the dot is
+ * where the parser is. After the conflict terminal the symbols are left as
+ * they are in the productions, except for the ones which can be ε: they are
+ * derived to ε, so the examples are the shortest ones.
+ *
+ * The derivations are found by a breadth-first search in the graph of the
+ * items of the states (as Bison does): from `S' -> • S` in the start state,
+ * an item goes to the advanced item in the next state by the symbol after
+ * the dot (which is added to the prefix), or to the items of the symbol
+ * after the dot in the same state (the closure). Each item also carries
+ * a terminal which follows its production, so a reduce is found only where
+ * the conflict terminal can really follow it.
+ *
+ * The prefix is found for the first reduce of the conflict, the other
+ * actions are looked for after the same prefix. It's not always possible:
+ * an LALR(1) conflict can come from merging of the states, which are reached
+ * by different prefixes, then each action has its own one. And the Follow
+ * sets of SLR(1) can give a lookahead which never follows the reduce in
+ * the state: then the derivation is shown without it, and is marked so.
+ *
+ * The symbols are as they're written in the grammar text: the helper
+ * non-terminals of EBNF are shown in the notation (`D*`), and not by their
+ * names, which are not in the grammar.
+ *
+ * Each explanation is:
+ *
+ *   {
+ *     state: 4,
+ *     terminal: '+',
+ *     kind: 'shift/reduce',
+ *     prefix: ['E', '"+"', 'E'],
+ *     derivations: [{
+ *       action: 's3',
+ *       item: 'E -> E • "+" E',
+ *       prefix: ['E', '"+"', 'E'],
+ *       example: ['E', '"+"', 'E', '•', '"+"', 'E'],
+ *       lookahead: true,
+ *       tree: {symbol: 'E', production: 1, children: [...]},
+ *       text: 'E\n↳ 1: E "+" E\n ...',
+ *     }, ...],
+ *     ambiguous: true,
+ *     message: 'Shift/reduce conflict in state 4 on "+": ...\n  Prefix: ...',
+ *   }
+ *
+ * where `lookahead` is whether the terminal follows the dot in the example.
+ */
+
+const {EOF, LRItem} = require('./LR(0)item.js');
+const {buildFirstSets, buildNullableSet, firstOfSequence, EPSILON} = require('./first and follow.js');
+const {unquote} = require('./GrammarParser.js');
+
+const DOT = '•';
+
+class ConflictExplainer {
+    /**
+     * Receives an LR parsing table (built, or loaded from JSON).
+     */
+    constructor(table) {
+        this._table = table;
+        this._grammar = table.getGrammar();
+        this._collection = table.getCollection();
+
+        let grammar = this._grammar.toParsedGrammar();
+
+        this._firstSets = buildFirstSets(grammar);
+        this._nullable = buildNullableSet(grammar);
+
+        // Depths of the shortest derivations to ε, see `_emptyDepth`.
+        this._emptyDepths = null;
+
+        // Items of each state by their keys, and the items with the dot at
+        // the beginning by their LHS: {state: {key: <LRItem>}}, and
+        // {state: {LHS: [<LRItem>, ...]}}.
+        this._items = {};
+        this._itemsByLHS = {};
+
+        this._collection.getStates().forEach(state => {
+            let items = this._items[state.getNumber()] = {};
+            let itemsByLHS = this._itemsByLHS[state.getNumber()] = {};
+
+            state.getItems().forEach(item => {
+                items[itemKey(item)] = item;
+
+                if (item.getDotPosition() === 0) {
+                    let LHS = item.getProduction().getLHS().getSymbol();
+                    (itemsByLHS[LHS] || (itemsByLHS[LHS] = [])).push(item);
+                }
+            });
+        });
+    }
+
+    getTable() {
+        return this._table;
+    }
+
+    /**
+     * Explanations of all the conflicts of the table.
+     */
+    explainAll() {
+        return this._table.getConflicts().map(conflict => this.explain(conflict));
+    }
+
+    /**
+     * Explains one conflict of the table, see the format above.
+     */
+    explain(conflict) {
+        let state = this._collection.getState(conflict.state);
+        let lookahead = this._toSymbol(conflict.terminal);
+
+        // The first reduce gives the prefix, it's the one which depends
+        // on the lookahead.
+        let anchor = conflict.actions.find(action => action[0] !== 's') || conflict.actions[0];
+        let derivations = {[anchor]: this._derive(state, anchor, lookahead, null)};
+        let prefix = derivations[anchor].prefix;
+
+        conflict.actions.forEach(action => {
+            if (action !== anchor) {
+                derivations[action] = this._derive(state, action, lookahead, prefix);
+            }
+        });
+
+        derivations = conflict.actions.map(action => this._present(derivations[action]));
+        prefix = prefix.map(symbol => this._grammar.getNotation(symbol));
+
+        let examples = derivations.map(derivation => derivation.example.join(' '));
+        let ambiguous = derivations.every(derivation => derivation.lookahead) &&
+            examples.every(example => example === examples[0]);
+
+        return {
+            state: conflict.state,
+            terminal: conflict.terminal,
+            kind: conflict.kind,
+            prefix,
+            derivations,
+            ambiguous,
+            message: this._message(conflict, prefix, derivations, ambiguous),
+        };
+    }
+
+    /**
+     * Prints the explanations of all the conflicts, one after another.
+     */
+    printReport() {
+        let explanations = this.explainAll();
+
+        if (!explanations.length) {
+            console.log('No conflicts.');
+        }
+
+        explanations.forEach(explanation => console.log(explanation.message + '\n'));
+    }
+
+    /**
+     * Derivation of an example for the action. It's searched after the
+     * prefix (if it's given), and with the lookahead; if there is none, then
+     * after any prefix, and at last without the lookahead.
+     */
+    _derive(state, action, lookahead, prefix) {
+        let target = this._target(state, action);
+
+        // A shift is followed by its terminal anyway.
+        if (action[0] === 's') {
+            let path = prefix && this._search(target, null, prefix) || this._search(target, null, null);
+            return this._build(action, path, lookahead, true);
+        }
+
+        let prefixes = prefix ? [prefix, null] : [null];
+
+        for (let follow of [lookahead, null]) {
+            for (let prefix of prefixes) {
+                let path = this._search(target, follow, prefix);
+
+                if (path) {
+                    return this._build(action, path, follow, follow !== null);
+                }
+            }
+        }
+
+        throw new Error(`No derivation for ${action} in state ${state.getNumber()}`);
+    }
+
+    /**
+     * The item of the action: for a shift, an item with the terminal after
+     * the dot; for a reduce, the final item of the production; for accept,
+     * the final augmented item. Returns a predicate for the search nodes.
+     */
+    _target(state, action) {
+        let number = state.getNumber();
+
+        if (action[0] === 's') {
+            let next = Number(action.slice(1));
+
+            return node => node.state.getNumber() === number &&
+                !node.item.isFinal() &&
+                node.item.getCurrentSymbol().isTerminal() &&
+                state.getTransitionOnSymbol(node.item.getCurrentSymbol().getSymbol()).getNumber() === next;
+        }
+
+        let production = action === 'acc'
+            ? this._grammar.getAugmentedProduction()
+            : this._grammar.getProduction(Number(action.slice(1)));
+
+        return node => node.state.getNumber() === number &&
+            node.item.isFinal() &&
+            node.item.getProduction() === production;
+    }
+
+    /**
+     * Breadth-first search from `S' -> • S` to the target item: a transition
+     * adds a symbol to the prefix, a closure step doesn't, so the closure
+     * steps are searched first. If the lookahead is given, the nodes carry
+     * the terminal which follows the production of the item. If the prefix
+     * is given, the transitions are only by its symbols, and the nodes
+     * carry the position in it (otherwise it's always 0, so each node
+     * is visited once, and the search ends if there is no path).
+     *
+     * Returns the path as a list of nodes: {state, item, follow, index,
+     * step, parent}, where the step is 'transition', or 'closure'.
+     */
+    _search(target, lookahead, prefix) {
+        let startState = this._collection.getStartState();
+        let start = {
+            state: startState,
+            item: this._items[startState.getNumber()][
+                LRItem.keyForPosition(this._grammar.getAugmentedProduction(), 0)
+            ],
+            follow: lookahead ? EOF : null,
+            index: 0,
+            step: null,
+            parent: null,
+        };
+
+        let visited = {};
+        let level = [start];
+
+        while (level.length) {
+            let nextLevel = [];
+
+            // Closure steps are added to the current level.
+            for (let i = 0; i < level.length; i++) {
+                let node = level[i];
+                let key = nodeKey(node);
+
+                if (visited[key]) {
+                    continue;
+                }
+                visited[key] = true;
+
+                if (target(node) &&
+                    (!lookahead || node.follow === lookahead) &&
+                    (!prefix || node.index === prefix.length)) {
+                    return toPath(node);
+                }
+
+                if (node.item.isFinal()) {
+                    continue;
+                }
+
+                let symbol = node.item.getCurrentSymbol().getSymbol();
+
+                if (!prefix || prefix[node.index] === symbol) {
+                    let state = node.state.getTransitionOnSymbol(symbol);
+
+                    nextLevel.push({
+                        state,
+                        item: this._items[state.getNumber()][
+                            LRItem.keyForPosition(node.item.getProduction(), node.item.getDotPosition() + 1)
+                        ],
+                        follow: node.follow,
+                        index: prefix ? node.index + 1 : 0,
+                        step: 'transition',
+                        parent: node,
+                    });
+                }
+
+                if (node.item.shouldClosure()) {
+                    let follows = lookahead ? this._follows(node) : [null];
+
+                    (this._itemsByLHS[node.state.getNumber()][symbol] || []).forEach(item => {
+                        follows.forEach(follow => level.push({
+                            state: node.state,
+                            item,
+                            follow,
+                            index: node.index,
+                            step: 'closure',
+                            parent: node,
+                        }));
+                    });
+                }
+            }
+
+            level = nextLevel;
+        }
+
+        return null;
+    }
+
+    /**
+     * Terminals which can follow the symbol after the dot: First of the
+     * rest of the RHS, and the terminal of the item if the rest can be ε.
+     */
+    _follows(node) {
+        let first = firstOfSequence(
+            rest(node.item.getProduction(), node.item.getDotPosition() + 1),
+            this._firstSets
+        );
+
+        let follows = Object.keys(first).filter(terminal => terminal !== EPSILON);
+
+        if (first[EPSILON] && follows.indexOf(node.follow) === -1) {
+            follows.push(node.follow);
+        }
+
+        return follows;
+    }
+
+    /**
+     * Builds the derivation tree from the path: each closure step opens
+     * a production, each transition adds a symbol to the open one. Then
+     * the productions are completed with the rest of their symbols, which
+     * are derived down to the lookahead (if it follows the item).
+     * Returns {action, item, prefix, root, lookahead}, with the symbols
+     * of the BNF grammar (see `_present`).
+     */
+    _build(action, path, lookahead, followed) {
+        let augmented = this._grammar.getAugmentedProduction();
+        let root = {symbol: augmented.getLHS().getSymbol(), production: 0, children: []};
+        let open = [root];
+        let prefix = [];
+
+        path.forEach(node => {
+            let top = open[open.length - 1];
+
+            if (node.step === 'transition') {
+                let symbol = node.item.getProduction().getRHS()
+                    .filter(symbol => !symbol.isEpsilon())[node.item.getDotPosition() - 1]
+                    .getSymbol();
+
+                top.children.push({symbol});
+                prefix.push(symbol);
+            } else if (node.step === 'closure') {
+                let child = {
+                    symbol: node.item.getProduction().getLHS().getSymbol(),
+                    production: node.item.getProduction().getNumber(),
+                    children: [],
+                };
+
+                top.children.push(child);
+                open.push(child);
+            }
+        });
+
+        let target = path[path.length - 1];
+        open[open.length - 1].children.push({symbol: DOT});
+
+        // Completes the productions from the innermost one, the rest of
+        // each goes after the dot.
+        let after = [];
+
+        open.slice().reverse().forEach(node => {
+            let seen = node.children.filter(child => child.symbol !== DOT).length;
+            let production = this._grammar.getProduction(node.production);
+
+            rest(production, seen).forEach(symbol => {
+                let child = {symbol};
+                node.children.push(child);
+                after.push({node, child});
+            });
+        });
+
+        this._deriveAfterDot(after, followed ? lookahead : null);
+
+        return {action, item: target.item, prefix, root, lookahead: followed};
+    }
+
+    /**
+     * The derivation in the format of the explanations, with the symbols as
+     * they're written in the grammar text: the helper non-terminals of EBNF
+     * are in the notation (see `Grammar#getNotation`).
+     */
+    _present({action, item, prefix, root, lookahead}) {
+        let notation = symbol => this._grammar.getNotation(symbol);
+
+        root = toNotation(root, notation);
+
+        // The start symbol (and the dot, if it's after it).
+        let tree = root.children.length === 1 ? root.children[0] : root;
+
+        return {
+            action,
+            item: LRItem.keyForItem(item.getProduction(), item.getDotPosition(), notation),
+            prefix: prefix.map(notation),
+            example: leaves(root),
+            lookahead,
+            tree,
+            text: renderRow(root.children).join('\n'),
+        };
+    }
+
+    /**
+     * Derives the symbols after the dot (in order), so the lookahead is
+     * the first terminal: the nullable ones before it are derived to ε, and
+     * the first one which can start with it -- to it. The nullable symbols
+     * after the lookahead are derived to ε too: the example is shorter, and
+     * is the same for both actions, if the grammar is ambiguous.
+     */
+    _deriveAfterDot(after, lookahead) {
+        let found = lookahead === null;
+
+        after.forEach(({node, child}) => {
+            let symbol = child.symbol;
+            let index = node.children.indexOf(child);
+            let isNonTerminal = this._grammar.getNonTerminals().indexOf(symbol) !== -1;
+
+            if (!found && symbol === lookahead) {
+                found = true;
+            } else if (!found && isNonTerminal && this._firstSets[symbol][lookahead]) {
+                node.children[index] = this._deriveFirst(symbol, lookahead);
+                found = true;
+            } else if (isNonTerminal && this._nullable[symbol]) {
+                node.children[index] = this._deriveEmpty(symbol);
+            }
+        });
+    }
+
+    /**
+     * The shortest derivation of the symbol which starts with the terminal.
+     */
+    _deriveFirst(symbol, terminal) {
+        let steps = this._shortest(RHS => {
+            let choices = [];
+            for (let i = 0; i < RHS.length; i++) {
+                choices.push({index: i, needs: RHS.slice(0, i), to: RHS[i]});
+                if (!this._nullable[RHS[i]]) {
+                    break;
+                }
+            }
+            return choices;
+        }, terminal);
+
+        let build = symbol => {
+            if (symbol === terminal) {
+                return {symbol};
+            }
+
+            let {production, index} = steps[symbol];
+            let RHS = rest(production, 0);
+
+            return {
+                symbol,
+                production: production.getNumber(),
+                children: RHS.map((child, i) => i < index
+                    ? this._deriveEmpty(child)
+                    : i === index ? build(child) : this._deriveEmptyOrLeave(child)),
+            };
+        };
+
+        return build(symbol);
+    }
+
+    /**
+     * The shortest derivation of the nullable symbol to ε.
+     */
+    _deriveEmpty(symbol) {
+        let steps = this._shortest(RHS => [{index: -1, needs: RHS, to: null}], null);
+        let build = symbol => ({
+            symbol,
+            production: steps[symbol].production.getNumber(),
+            children: rest(steps[symbol].production, 0).map(build),
+        });
+
+        return build(symbol);
+    }
+
+    _deriveEmptyOrLeave(symbol) {
+        return this._nullable[symbol] ? this._deriveEmpty(symbol) : {symbol};
+    }
+
+    /**
+     * Shortest derivations to the terminal (or to ε, if it's null):
+     * {symbol: {production, index, depth}}, where `choices(RHS)` gives the
+     * ways a production can derive it: the symbol `to` (the terminal, or
+     * a symbol which derives it) at `index`, and the symbols which `needs`
+     * to derive ε.
+     */
+    _shortest(choices, terminal) {
+        let productions = this._grammar.getProductions();
+        let steps = {};
+        let depth = symbol => symbol === terminal
+            ? 0
+            : steps[symbol] ? steps[symbol].depth : Infinity;
+
+        let changed = true;
+
+        while (changed) {
+            changed = false;
+
+            for (let k in productions) {
+                let production = productions[k];
+                let LHS = production.getLHS().getSymbol();
+
+                choices(rest(production, 0)).forEach(({index, needs, to}) => {
+                    let total = 1 + (to === null ? 0 : depth(to)) +
+                        needs.reduce((sum, symbol) =>
+                            sum + (this._nullable[symbol] ? this._emptyDepth(symbol) : Infinity), 0);
+
+                    if (total < depth(LHS)) {
+                        steps[LHS] = {production, index, depth: total};
+                        changed = true;
+                    }
+                });
+            }
+        }
+
+        return steps;
+    }
+
+    /**
+     * Depth of the shortest derivation of the nullable symbol to ε
+     * (only compares the derivations, so it's the number of the levels).
+     */
+    _emptyDepth(symbol) {
+        if (!this._emptyDepths) {
+            this._emptyDepths = {};
+
+            let productions = this._grammar.getProductions();
+            let changed = true;
+
+            while (changed) {
+                changed = false;
+
+                for (let k in productions) {
+                    let LHS = productions[k].getLHS().getSymbol();
+                    let depth = 1 + rest(productions[k], 0).reduce(
+                        (sum, symbol) => sum + (this._emptyDepths[symbol] || Infinity), 0
+                    );
+
+                    if (depth < (this._emptyDepths[LHS] || Infinity)) {
+                        this._emptyDepths[LHS] = depth;
+                        changed = true;
+                    }
+                }
+            }
+        }
+
+        return this._emptyDepths[symbol];
+    }
+
+    /**
+     * Terminal of the grammar (as it's written) for the token type.
+     */
+    _toSymbol(terminal) {
+        if (terminal === EOF) {
+            return EOF;
+        }
+        return this._grammar.getTerminals().find(symbol => unquote(symbol) === terminal);
+    }
+
+    _message(conflict, prefix, derivations, ambiguous) {
+        let lines = [conflict.message, `  Prefix: ${prefix.join(' ') || 'ε'}`];
+
+        derivations.forEach(derivation => {
+            lines.push(`  ${describe(derivation.action)}: ${derivation.example.join(' ')}`);
+            derivation.text.split('\n').forEach(line => lines.push(`    ${line}`));
+
+            if (!derivation.lookahead) {
+                lines.push(
+                    `    "${conflict.terminal}" cannot follow it here: ` +
+                    `the lookaheads of the table are not precise`
+                );
+            }
+        });
+
+        if (ambiguous) {
+            lines.push('  The same example has both derivations: the grammar is ambiguous.');
+        }
+
+        return lines.join('\n');
+    }
+}
+
+/**
+ * Key of an item without the lookaheads (of LR(1) items).
+ */
+function itemKey(item) {
+    return LRItem.keyForPosition(item.getProduction(), item.getDotPosition());
+}
+
+function nodeKey(node) {
+    return `${node.state.getNumber()} ${node.index} ${node.follow} ${itemKey(node.item)}`;
+}
+
+function toPath(node) {
+    let path = [];
+    for (; node; node = node.parent) {
+        path.unshift(node);
+    }
+    return path;
+}
+
+/**
+ * Symbols of the RHS from the position (without ε).
+ */
+function rest(production, position) {
+    return production.getRHS()
+        .filter(symbol => !symbol.isEpsilon())
+        .slice(position)
+        .map(symbol => symbol.getSymbol());
+}
+
+/**
+ * Copy of the tree with the symbols mapped.
+ */
+function toNotation(node, notation) {
+    let copy = Object.assign({}, node, {symbol: notation(node.symbol)});
+
+    if (node.children) {
+        copy.children = node.children.map(child => toNotation(child, notation));
+    }
+    return copy;
+}
+
+function leaves(node) {
+    if (!node.children) {
+        return [node.symbol];
+    }
+    return [].concat(...node.children.map(leaves));
+}
+
+function describe(action) {
+    if (action === 'acc') {
+        return 'Accept';
+    }
+    return action[0] === 's'
+        ? `Shift to state ${action.slice(1)}`
+        : `Reduce by production ${action.slice(1)}`;
+}
+
+/**
+ * Renders the nodes side by side, each one with its derivation below:
+ *
+ *   E                 "+" E
+ *   ↳ 1: E "+" E •
+ */
+function renderRow(nodes) {
+    let blocks = nodes.map(renderNode);
+    let height = Math.max(...blocks.map(block => block.length));
+    let lines = [];
+
+    for (let i = 0; i < height; i++) {
+        lines.push(blocks
+            .map(block => (block[i] || '').padEnd(block.width))
+            .join(' ')
+            .replace(/\s+$/, ''));
+    }
+
+    return lines;
+}
+
+/**
+ * Lines of the node: the symbol, and `↳ n: <children>` under it.
+ */
+function renderNode(node) {
+    let lines = [node.symbol];
+
+    if (node.children) {
+        let label = `↳ ${node.production}: `;
+        let row = node.children.length ? renderRow(node.children) : [EPSILON];
+
+        row.forEach((line, i) => lines.push((i ? ' '.repeat(label.length) : label) + line));
+    }
+
+    lines.width = Math.max(...lines.map(line => line.length));
+    return lines;
+}
+
+module.exports = {
+    ConflictExplainer,
+};
+
+// --------------------------------------------------------------------------
+// Tests (run when the file is executed directly: `node ConflictExplainer.js`)
+// --------------------------------------------------------------------------
+
+if (require.main === module) {
+    const assert = require('assert');
+    const {Grammar} = require('./LR(0)item.js');
+    const {SLRParsingTable} = require('./LRParsingTable.js');
+    const {LALRParsingTable} = require('./LALRParsingTable.js');
+
+    // Ambiguous expressions: both derivations give the same example.
+
+    const expressions = new ConflictExplainer(new LALRParsingTable({grammar: new Grammar(`
+      E -> E "+" E | "n"
+    `)}));
+
+    expressions.printReport();
+
+    // Output:
+
+    // Shift/reduce conflict in state 4 on "+": shift to state 3 (E -> E • "+" E), or reduce by production 1 (E -> E "+" E •)
+    //   Prefix: E "+" E
+    //   Shift to state 3: E "+" E • "+" E
+    //     E
+    //     ↳ 1: E "+" E
+    //                ↳ 1: E • "+" E
+    //   Reduce by production 1: E "+" E • "+" E
+    //     E
+    //     ↳ 1: E              "+" E
+    //          ↳ 1: E "+" E •
+    //   The same example has both derivations: the grammar is ambiguous.
+
+    const [explanation] = expressions.explainAll();
+
+    assert(explanation.ambiguous);
+    assert.deepEqual(explanation.prefix, ['E', '"+"', 'E']);
+    assert.deepEqual(explanation.derivations.map(derivation => derivation.item), [
+        'E -> E • "+" E',
+        'E -> E "+" E •',
+    ]);
+
+    // Dangling else: the lookahead is derived from the symbol after
+    // the reduced statement.
+
+    new ConflictExplainer(new LALRParsingTable({grammar: new Grammar(`
+      Program -> Stmt Rest
+      Rest -> ";" Program | ε
+      Stmt -> "if" "c" "then" Stmt Else | "s"
+      Else -> "else" Stmt | ε
+    `)})).printReport();
+
+    // Output:
+
+    // Shift/reduce conflict in state 10 on "else": shift to state 12 (Else -> • "else" Stmt), or reduce by production 7 (Else -> •)
+    //   Prefix: "if" "c" "then" "if" "c" "then" Stmt
+    //   Shift to state 12: "if" "c" "then" "if" "c" "then" Stmt • "else" Stmt
+    //     Program
+    //     ↳ 1: Stmt                                                                     Rest
+    //          ↳ 4: "if" "c" "then" Stmt                                         Else   ↳ 3: ε
+    //                               ↳ 4: "if" "c" "then" Stmt Else               ↳ 7: ε
+    //                                                         ↳ 6: • "else" Stmt
+    //   Reduce by production 7: "if" "c" "then" "if" "c" "then" Stmt • "else" Stmt
+    //     Program
+    //     ↳ 1: Stmt                                                                   Rest
+    //          ↳ 4: "if" "c" "then" Stmt                             Else             ↳ 3: ε
+    //                               ↳ 4: "if" "c" "then" Stmt Else   ↳ 6: "else" Stmt
+    //                                                         ↳ 7: •
+    //   The same example has both derivations: the grammar is ambiguous.
+
+    // LALR(1), but not LR(1): the reduces come from different prefixes,
+    // which lead to the same merged state.
+
+    const merged = new ConflictExplainer(new LALRParsingTable({grammar: new Grammar(`
+      S -> "a" A "c" | "b" A "d" | "a" B "d" | "b" B "c"
+      A -> "x"
+      B -> "x"
+    `)})).explainAll();
+
+    assert.deepEqual(merged.map(explanation => explanation.derivations.map(
+        derivation => derivation.example.join(' ')
+    )), [
+        ['"a" "x" • "c"', '"b" "x" • "c"'],
+        ['"b" "x" • "d"', '"a" "x" • "d"'],
+    ]);
+
+    assert(merged.every(explanation => !explanation.ambiguous));
+
+    // A canonical LR(1) table loaded from JSON: the prefix is longer,
+    // since the conflict is in the state for the expressions in parens.
+
+    const {LRParsingTable} = require('./LRParsingTable.js');
+    const {LR1ParsingTable} = require('./LR1ParsingTable.js');
+
+    const parens = new Grammar(`
+      E -> E "*" E | "(" E ")" | "n"
+    `);
+
+    const loaded = new ConflictExplainer(LRParsingTable.fromJSON(
+        JSON.parse(JSON.stringify(new LR1ParsingTable({grammar: parens}))),
+        parens
+    )).explainAll();
+
+    assert.deepEqual(loaded.map(explanation => explanation.prefix.join(' ')), ['E "*" E', '"(" E "*" E']);
+    assert(loaded.every(explanation => explanation.ambiguous));
+
+    // SLR(1): "=" is in Follow(R), but never follows `R -> L •` after `L`
+    // at the beginning.
+
+    console.log(new ConflictExplainer(new SLRParsingTable({grammar: new Grammar(`
+      S -> L "=" R | R
+      L -> "*" R | "id"
+      R -> L
+    `)})).explainAll()[0].message);
+
+    // Output:
+
+    // Shift/reduce conflict in state 2 on "=": shift to state 6 (S -> L • "=" R), or reduce by production 5 (R -> L •)
+    //   Prefix: L
+    //   Shift to state 6: L • "=" R
+    //     S
+    //     ↳ 1: L • "=" R
+    //   Reduce by production 5: L •
+    //     S
+    //     ↳ 2: R
+    //          ↳ 5: L •
+    //     "=" cannot follow it here: the lookaheads of the table are not precise
+
+    // EBNF: the helper non-terminals are shown in the notation. A statement
+    // can start as a declaration, so the parser cannot decide whether `D*`
+    // is over.
+
+    const declarations = new ConflictExplainer(new LALRParsingTable({grammar: new Grammar(`
+      P -> D* S*
+      D -> "id" ";"
+      S -> "id" "=" "id" ";"
+    `)})).explainAll();
+
+    console.log(declarations[1].message);
+
+    assert.deepEqual(declarations.map(explanation => explanation.prefix), [[], ['D']]);
+    assert.deepEqual(declarations[1].derivations.map(derivation => derivation.item), [
+        'D -> • "id" ";"',
+        'D* -> •',
+    ]);
+    assert.equal(declarations[0].derivations[1].tree.children[0].symbol, 'D*');
+
+    // Output:
+
+    // Shift/reduce conflict in state 3 on "id": shift to state 4 (D -> • "id" ";"), or reduce by production 5 (D* -> •)
+    //   Prefix: D
+    //   Shift to state 4: D • "id" ";"
+    //     P
+    //     ↳ 1: D*                                 S*
+    //          ↳ 4: D D*                          ↳ 7: ε
+    //                 ↳ 4: D               D*
+    //                      ↳ 2: • "id" ";" ↳ 5: ε
+    //   Reduce by production 5: D • "id" "=" "id" ";"
+    //     P
+    //     ↳ 1: D*            S*
+    //          ↳ 4: D D*     ↳ 6: S                      S*
+    //                 ↳ 5: •      ↳ 3: "id" "=" "id" ";" ↳ 7: ε
+}
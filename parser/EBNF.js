@@ -0,0 +1,360 @@
+/**
+ * EBNF notation for the grammars.
+ *
+ * Besides the plain BNF productions, the grammar text (see the `Grammar`
+ * class in "LR(0)item.js") supports the EBNF operators:
+ *
+ *   X*         zero or more X
+ *   X+         one or more X
+ *   X?         optional X
+ *   (X Y | Z)  a group, possibly with alternatives
+ *   A -> X | Y alternatives on the same line
+ *
+ * E.g.:
+ *
+ *   Args -> "(" (Expr ("," Expr)*)? ")"
+ *
+ * The builders (First/Follow sets, LL(1) and LR tables) work only with
+ * BNF, so EBNF is desugared into the helper non-terminals. Each group,
+ * or an operator gets its own helper:
+ *
+ *   X*  ->  H -> X H | ε
+ *   X+  ->  H -> X H', where H' is the helper for X*
+ *   X?  ->  H -> X | ε
+ *   (X Y | Z)  ->  H -> X Y | Z
+ *
+ * The repetition is right-recursive, so it's also usable in LL(1) parsers.
+ * A group without alternatives, and without an operator, is just inlined.
+ *
+ * The helpers are named after the LHS: `Args_1`, `Args_2`, etc., and
+ * remember their original notation, so the parse trees and the error
+ * messages can refer to it, instead of the helper names.
+ */
+
+const EPSILON = 'ε';
+
+const {parseGrammarText} = require('./GrammarParser.js');
+
+/**
+ * Expands the EBNF grammar text (or already parsed productions, see
+ * "GrammarParser.js"), returns:
+ *
+ *   {
+ *     productions: [
+ *       {LHS: 'Args', RHS: ['"("', 'Args_1', '")"']},
+ *       {LHS: 'Args_1', RHS: ['Args_2']},
+ *       {LHS: 'Args_1', RHS: []},
+ *       ...
+ *     ],
+ *     helpers: {
+ *       Args_1: {kind: 'optional', notation: '(Expr ("," Expr)*)?'},
+ *       ...
+ *     },
+ *   }
+ *
+ * The productions are BNF, one alternative each. Productions of the helpers
+ * go after all the productions of the original grammar, so the numbers of
+ * the original productions don't change (unless there are alternatives
+ * on the same line).
+ *
+ * An alternative with `%prec`, or an action gets them as the `prec`, and
+ * the `action` properties of its production:
+ *
+ *   {LHS: 'E', RHS: ['"-"', 'E'], prec: 'UMINUS', action: '$$ = -$2'}
+ */
+function expandEBNF(grammar) {
+    let parsed = typeof grammar === 'string'
+        ? parseGrammarText(grammar)
+        : grammar;
+
+    let productions = [];
+    let helperProductions = [];
+    let helpers = {};
+
+    // Helper for the same notation is reused: {notation: name}.
+    let helpersByNotation = {};
+
+    let usedNames = {};
+    parsed.forEach(production => {
+        usedNames[production.LHS] = true;
+        production.alternatives.forEach(sequence => collectSymbols(sequence, usedNames));
+    });
+
+    parsed.forEach(production => {
+        let LHS = production.LHS;
+        let counter = 0;
+
+        // Returns a symbol for the notation, creating a helper if needed.
+        let helperFor = (kind, notation, alternatives) => {
+            if (helpersByNotation[notation]) {
+                return helpersByNotation[notation];
+            }
+
+            let name;
+            do {
+                name = `${LHS}_${++counter}`;
+            } while (usedNames[name]);
+
+            usedNames[name] = true;
+            helpersByNotation[notation] = name;
+            helpers[name] = {kind, notation};
+
+            // Nested helpers are created while expanding the alternatives,
+            // the slot keeps the productions in order of the helpers.
+            let slot = [];
+            helperProductions.push(slot);
+
+            alternatives(name).forEach(RHS => {
+                slot.push({LHS: name, RHS});
+            });
+
+            return name;
+        };
+
+        // Top-level alternatives are productions of the LHS itself.
+        production.alternatives.forEach(sequence => {
+            let annotations = {};
+
+            // `%prec`, and the action are at the end of the sequence.
+            while (sequence.length && ['prec', 'action']
+                .indexOf(sequence[sequence.length - 1].type) !== -1) {
+                let node = sequence[sequence.length - 1];
+                annotations[node.type] = node.type === 'prec' ? node.symbol : node.code;
+                sequence = sequence.slice(0, -1);
+            }
+
+            productions.push(Object.assign(
+                {LHS, RHS: expandSequence(sequence, helperFor)},
+                annotations
+            ));
+        });
+    });
+
+    return {
+        productions: productions.concat(...helperProductions),
+        helpers,
+    };
+}
+
+function collectSymbols(sequence, symbols) {
+    sequence.forEach(node => {
+        if (node.type === 'symbol') {
+            symbols[node.symbol] = true;
+        } else if (node.type === 'prec' || node.type === 'action') {
+            return;
+        } else if (node.type === 'group') {
+            node.alternatives.forEach(sequence => collectSymbols(sequence, symbols));
+        } else {
+            collectSymbols([node.operand], symbols);
+        }
+    });
+}
+
+/**
+ * Expands a sequence of the EBNF nodes into a list of the BNF symbols.
+ */
+function expandSequence(sequence, helperFor) {
+    let symbols = [];
+
+    sequence.forEach(node => {
+        // ε is just an empty sequence.
+        if (node.type === 'symbol' && node.symbol === EPSILON) {
+            return;
+        }
+
+        // A group without alternatives is inlined.
+        if (node.type === 'group' && node.alternatives.length === 1) {
+            symbols.push(...expandSequence(node.alternatives[0], helperFor));
+        } else {
+            symbols.push(expandNode(node, helperFor));
+        }
+    });
+
+    return symbols;
+}
+
+/**
+ * Returns a symbol for an EBNF node.
+ */
+function expandNode(node, helperFor) {
+    let notation = toNotation(node);
+
+    switch (node.type) {
+        case 'symbol':
+            return node.symbol;
+
+        case 'group':
+            return helperFor('group', notation, () => node.alternatives.map(
+                sequence => expandSequence(sequence, helperFor)
+            ));
+
+        case '?':
+            return helperFor('optional', notation, () => [
+                [expandNode(node.operand, helperFor)],
+                [],
+            ]);
+
+        case '*':
+            return helperFor('star', notation, name => [
+                [expandNode(node.operand, helperFor), name],
+                [],
+            ]);
+
+        case '+': {
+            let operand = expandNode(node.operand, helperFor);
+            let star = expandNode({type: '*', operand: node.operand}, helperFor);
+            return helperFor('plus', notation, () => [[operand, star]]);
+        }
+    }
+}
+
+/**
+ * Original notation of a node: `("," Expr)*`.
+ */
+function toNotation(node) {
+    switch (node.type) {
+        case 'symbol':
+            return node.symbol;
+        case 'group':
+            return '(' + node.alternatives
+                .map(sequence => sequence.map(toNotation).join(' '))
+                .join(' | ') + ')';
+        default:
+            return toNotation(node.operand) + node.type;
+    }
+}
+
+/**
+ * Restores the original notation in a parse tree, where a node is
+ * {symbol, production, children}. Helper nodes get the notation as the
+ * symbol, and the `ebnf` kind. Repetitions are flattened: a node for `X*`
+ * has all the X nodes as its children (instead of the nested helpers).
+ */
+function restoreTree(node, helpers) {
+    if (!node.children) {
+        return node;
+    }
+
+    let children = node.children.map(child => restoreTree(child, helpers));
+    let helper = helpers[node.symbol];
+
+    if (!helper) {
+        return Object.assign({}, node, {children});
+    }
+
+    if (helper.kind === 'star' || helper.kind === 'plus') {
+        // `X H` for the star, or `X H*` for the plus, where the (already
+        // restored) nested node has the rest of the repetition.
+        children = children.length
+            ? [children[0]].concat(children[1].children)
+            : [];
+    }
+
+    return Object.assign({}, node, {
+        symbol: helper.notation,
+        ebnf: helper.kind,
+        children,
+    });
+}
+
+/**
+ * Value of a helper node in the restored tree (see `restoreTree`), from the
+ * values of its children: an array for repetitions, the value, or null for
+ * the optional, and for a group -- the value of its only symbol, or an array
+ * of the values.
+ */
+function ebnfValue(kind, values) {
+    switch (kind) {
+        case 'star':
+        case 'plus':
+            return values;
+        case 'optional':
+            return values.length ? values[0] : null;
+        default:
+            return values.length === 1 ? values[0] : values;
+    }
+}
+
+/**
+ * Value of a helper production when it's reduced (by an LR parser), from
+ * the values of its RHS symbols. The result is the same as `ebnfValue` on
+ * the restored tree: for `X*` (`H -> X H | ε`) the value of the nested
+ * `H` is already an array of the rest of the X values.
+ */
+function reduceHelperValue(kind, values) {
+    switch (kind) {
+        case 'star':
+        case 'plus':
+            return values.length ? [values[0]].concat(values[1]) : [];
+        default:
+            return ebnfValue(kind, values);
+    }
+}
+
+module.exports = {
+    EPSILON,
+    ebnfValue,
+    expandEBNF,
+    reduceHelperValue,
+    restoreTree,
+};
+
+// Testing (runs when the file is executed directly: `node EBNF.js`)
+
+if (require.main === module) {
+    const assert = require('assert');
+
+    const {productions, helpers} = expandEBNF(`
+        Call -> "id" "(" (Expr ("," Expr)*)? ")"
+        Expr -> Expr ("+" | "-") Term | Term
+        Term -> "num"+
+              | "(" Expr ")"
+    `);
+
+    productions.forEach(({LHS, RHS}, k) => {
+        console.log(`${k + 1}. ${LHS} -> ${RHS.join(' ') || EPSILON}`);
+    });
+
+    console.log('');
+
+    for (let name in helpers) {
+        console.log(name, helpers[name]);
+    }
+
+    // Results:
+
+    // 1. Call -> "id" "(" Call_1 ")"
+    // 2. Expr -> Expr Expr_1 Term
+    // 3. Expr -> Term
+    // 4. Term -> Term_2
+    // 5. Term -> "(" Expr ")"
+    // 6. Call_1 -> Call_2
+    // 7. Call_1 -> ε
+    // 8. Call_2 -> Expr Call_3
+    // 9. Call_3 -> Call_4 Call_3
+    // 10. Call_3 -> ε
+    // 11. Call_4 -> "," Expr
+    // 12. Expr_1 -> "+"
+    // 13. Expr_1 -> "-"
+    // 14. Term_1 -> "num" Term_1
+    // 15. Term_1 -> ε
+    // 16. Term_2 -> "num" Term_1
+    //
+    // Call_1 { kind: 'optional', notation: '(Expr ("," Expr)*)?' }
+    // Call_2 { kind: 'group', notation: '(Expr ("," Expr)*)' }
+    // Call_3 { kind: 'star', notation: '("," Expr)*' }
+    // Call_4 { kind: 'group', notation: '("," Expr)' }
+    // Expr_1 { kind: 'group', notation: '("+" | "-")' }
+    // Term_1 { kind: 'star', notation: '"num"*' }
+    // Term_2 { kind: 'plus', notation: '"num"+' }
+
+    // The helper for `"a"*` is shared.
+
+    assert.deepEqual(expandEBNF('A -> "a"* B\nB -> "a"* | ε').productions, [
+        {LHS: 'A', RHS: ['A_1', 'B']},
+        {LHS: 'B', RHS: ['A_1']},
+        {LHS: 'B', RHS: []},
+        {LHS: 'A_1', RHS: ['"a"', 'A_1']},
+        {LHS: 'A_1', RHS: []},
+    ]);
+}
@@ -0,0 +1,508 @@
+/**
+ * = Grammar analysis =
+ *
+ * Checks a grammar (see the `Grammar` class in "LR(0)item.js") before it's
+ * used to build First/Follow sets, or LR items. A typo in a hand-written
+ * grammar usually doesn't fail there, but silently gives a wrong result.
+ *
+ * The analyzer reports:
+ *
+ *   - undefined non-terminals: used in a RHS, but have no productions
+ *     (usually a typo, or a terminal which is not quoted);
+ *
+ *   - unreachable symbols: cannot be derived from the start symbol;
+ *
+ *   - unproductive symbols: derive no string of terminals, e.g. `A -> "a" A`
+ *     without any other alternative for `A`;
+ *
+ *   - nullable symbols: can derive ε (this is not a problem itself, but
+ *     is useful to know building LL and LR tables);
+ *
+ *   - derivation cycles: `A =>+ A`, e.g. `A -> B`, `B -> A` (such grammars
+ *     are ambiguous);
+ *
+ *   - left recursion: `A =>+ A α`, direct (`A -> A "a"`), or indirect
+ *     (`A -> B "a"`, `B -> A "b"`), which cannot be used with LL parsers.
+ *
+ * Each finding is:
+ *
+ *   {
+ *     type: 'undefined',
+ *     severity: 'error',
+ *     symbols: ['Tem'],
+ *     productions: [2],
+ *     message: 'Undefined non-terminal Tem (productions: 2)',
+ *   }
+ *
+ * where `productions` are the numbers of the offending productions.
+ */
+
+const {Grammar} = require('./LR(0)item.js');
+
+class GrammarAnalyzer {
+    /**
+     * Receives a `Grammar`, or a raw grammar to build it.
+     */
+    constructor(grammar) {
+        if (!(grammar instanceof Grammar)) {
+            grammar = new Grammar(grammar);
+        }
+
+        this._grammar = grammar;
+
+        // Productions without the augmented one: [{number, LHS, RHS}], where
+        // LHS is a symbol string, and RHS is an array of `GrammarSymbol`s
+        // (without ε, so the ε-production has an empty RHS).
+        this._productions = [];
+
+        let productions = grammar.getProductions();
+        for (let k in productions) {
+            if (productions[k] === grammar.getAugmentedProduction()) {
+                continue;
+            }
+            this._productions.push({
+                number: Number(k),
+                LHS: productions[k].getLHS().getSymbol(),
+                RHS: productions[k].getRHS().filter(symbol => !symbol.isEpsilon()),
+            });
+        }
+
+        this._nonTerminals = grammar.getNonTerminals();
+    }
+
+    getGrammar() {
+        return this._grammar;
+    }
+
+    /**
+     * Runs all the checks, and returns the list of findings.
+     */
+    analyze() {
+        return [].concat(
+            this.getUndefinedNonTerminals(),
+            this.getUnreachableSymbols(),
+            this.getUnproductiveSymbols(),
+            this.getCycles(),
+            this.getLeftRecursion(),
+            this.getNullableSymbols()
+        );
+    }
+
+    getUndefinedNonTerminals() {
+        let used = Object.create(null);
+
+        this._productions.forEach(production => {
+            production.RHS.forEach(symbol => {
+                let name = symbol.getSymbol();
+                if (symbol.isNonTerminal() && !this._isDefined(name)) {
+                    (used[name] || (used[name] = [])).push(production.number);
+                }
+            });
+        });
+
+        return Object.keys(used).map(symbol => finding({
+            type: 'undefined',
+            severity: 'error',
+            symbols: [symbol],
+            productions: used[symbol],
+            message: `Undefined non-terminal ${symbol}`,
+        }));
+    }
+
+    /**
+     * Symbols which are not reachable from the start symbol. For a
+     * non-terminal the productions are its own productions, for a terminal
+     * -- the productions where it's used.
+     */
+    getUnreachableSymbols() {
+        let reachable = Object.create(null);
+        let changed = true;
+
+        reachable[this._grammar.getStartSymbol()] = true;
+
+        while (changed) {
+            changed = false;
+            this._productions.forEach(production => {
+                if (!reachable[production.LHS]) {
+                    return;
+                }
+                production.RHS.forEach(symbol => {
+                    if (!reachable[symbol.getSymbol()]) {
+                        reachable[symbol.getSymbol()] = true;
+                        changed = true;
+                    }
+                });
+            });
+        }
+
+        let findings = [];
+
+        this._nonTerminals.forEach(symbol => {
+            if (!reachable[symbol]) {
+                findings.push(finding({
+                    type: 'unreachable',
+                    severity: 'warning',
+                    symbols: [symbol],
+                    productions: this._productionsFor(symbol),
+                    message: `Unreachable non-terminal ${symbol}`,
+                }));
+            }
+        });
+
+        this._grammar.getTerminals().forEach(symbol => {
+            if (!reachable[symbol]) {
+                findings.push(finding({
+                    type: 'unreachable',
+                    severity: 'warning',
+                    symbols: [symbol],
+                    productions: this._productionsUsing(symbol),
+                    message: `Unreachable terminal ${symbol}`,
+                }));
+            }
+        });
+
+        return findings;
+    }
+
+    /**
+     * A symbol is productive if it derives a string of terminals:
+     * terminals are productive, a non-terminal is productive if it has a
+     * production with only productive symbols (ε-production as well).
+     */
+    getUnproductiveSymbols() {
+        let productive = this._fixedPoint(symbol => symbol.isTerminal());
+
+        return this._nonTerminals
+            .filter(symbol => !productive[symbol])
+            .map(symbol => finding({
+                type: 'unproductive',
+                severity: 'error',
+                symbols: [symbol],
+                productions: this._productionsFor(symbol),
+                message: `Non-terminal ${symbol} derives no string of terminals`,
+            }));
+    }
+
+    /**
+     * Nullable symbols, and the productions through which they derive ε.
+     */
+    getNullableSymbols() {
+        let nullable = this.getNullableSet();
+        let symbols = this._nonTerminals.filter(symbol => nullable[symbol]);
+
+        if (!symbols.length) {
+            return [];
+        }
+
+        return [finding({
+            type: 'nullable',
+            severity: 'info',
+            symbols,
+            productions: this._productions
+                .filter(production => production.RHS.every(
+                    symbol => nullable[symbol.getSymbol()]
+                ))
+                .map(production => production.number),
+            message: `Nullable non-terminals: ${symbols.join(', ')}`,
+        })];
+    }
+
+    /**
+     * {A: true, ...} for the non-terminals which can derive ε.
+     */
+    getNullableSet() {
+        return this._fixedPoint(() => false);
+    }
+
+    /**
+     * Derivation cycles: `A =>+ A`. There is an edge A -> B for a production
+     * `A -> α B β`, where α and β are nullable, and a cycle in this graph is
+     * a derivation cycle.
+     */
+    getCycles() {
+        let nullable = this.getNullableSet();
+
+        let edges = this._edges((production, index) => production.RHS.every(
+            (symbol, i) => i === index || nullable[symbol.getSymbol()]
+        ));
+
+        return this._getGraphCycles(edges).map(cycle => finding({
+            type: 'cycle',
+            severity: 'error',
+            symbols: cycle.symbols,
+            productions: cycle.productions,
+            message: `Derivation cycle ${cycle.symbols.concat(cycle.symbols[0])
+                .join(' => ')}`,
+        }));
+    }
+
+    /**
+     * Left recursion: `A =>+ A α`. There is an edge A -> B for a production
+     * `A -> α B β`, where α is nullable, and a cycle in this graph is a
+     * left recursion.
+     */
+    getLeftRecursion() {
+        let nullable = this.getNullableSet();
+
+        let edges = this._edges((production, index) => production.RHS
+            .slice(0, index)
+            .every(symbol => nullable[symbol.getSymbol()])
+        );
+
+        return this._getGraphCycles(edges).map(cycle => {
+            let isDirect = cycle.symbols.length === 1;
+            return finding({
+                type: 'left-recursion',
+                severity: 'warning',
+                symbols: cycle.symbols,
+                productions: cycle.productions,
+                message: isDirect
+                    ? `Direct left recursion in ${cycle.symbols[0]}`
+                    : `Indirect left recursion in ${cycle.symbols.join(', ')}`,
+            });
+        });
+    }
+
+    /**
+     * Prints the findings in a "lint" format.
+     */
+    printReport() {
+        let findings = this.analyze();
+
+        if (!findings.length) {
+            console.log('No problems found.');
+        }
+
+        findings.forEach(finding => {
+            console.log(`${finding.severity}: ${finding.message}`);
+        });
+
+        return findings;
+    }
+
+    _isDefined(symbol) {
+        return this._nonTerminals.indexOf(symbol) !== -1;
+    }
+
+    _productionsFor(symbol) {
+        return this._productions
+            .filter(production => production.LHS === symbol)
+            .map(production => production.number);
+    }
+
+    _productionsUsing(symbol) {
+        return this._productions
+            .filter(production => production.RHS.some(
+                RHSSymbol => RHSSymbol.isSymbol(symbol)
+            ))
+            .map(production => production.number);
+    }
+
+    /**
+     * Marks a LHS, if all symbols of one of its productions are marked
+     * (or satisfy the `isMarked` predicate), until nothing changes.
+     * The maps here have no prototype (for the symbols like `constructor`).
+     */
+    _fixedPoint(isMarked) {
+        let marked = Object.create(null);
+        let changed = true;
+
+        while (changed) {
+            changed = false;
+            this._productions.forEach(production => {
+                if (!marked[production.LHS] && production.RHS.every(
+                    symbol => marked[symbol.getSymbol()] || isMarked(symbol)
+                )) {
+                    marked[production.LHS] = true;
+                    changed = true;
+                }
+            });
+        }
+
+        return marked;
+    }
+
+    /**
+     * Graph of non-terminals: {A: {B: [production numbers]}}, an edge
+     * is added for a non-terminal in a RHS, if `isEdge(production, index)`.
+     */
+    _edges(isEdge) {
+        let edges = Object.create(null);
+
+        this._productions.forEach(production => {
+            let from = edges[production.LHS] || (edges[production.LHS] = Object.create(null));
+
+            production.RHS.forEach((symbol, index) => {
+                let to = symbol.getSymbol();
+
+                if (!this._isDefined(to) || !isEdge(production, index)) {
+                    return;
+                }
+
+                from[to] || (from[to] = []);
+                if (from[to].indexOf(production.number) === -1) {
+                    from[to].push(production.number);
+                }
+            });
+        });
+
+        return edges;
+    }
+
+    /**
+     * Finds strongly connected components of the graph (Tarjan's algorithm),
+     * a component is a cycle if it has several symbols, or an edge from a
+     * symbol to itself. Returns [{symbols, productions}], where productions
+     * are the ones forming the edges inside the component.
+     */
+    _getGraphCycles(edges) {
+        let index = 0;
+        let stack = [];
+        let info = Object.create(null);
+        let components = [];
+
+        let connect = symbol => {
+            info[symbol] = {index, lowLink: index, onStack: true};
+            index++;
+            stack.push(symbol);
+
+            Object.keys(edges[symbol] || {}).forEach(to => {
+                if (!info[to]) {
+                    connect(to);
+                    info[symbol].lowLink = Math.min(info[symbol].lowLink, info[to].lowLink);
+                } else if (info[to].onStack) {
+                    info[symbol].lowLink = Math.min(info[symbol].lowLink, info[to].index);
+                }
+            });
+
+            if (info[symbol].lowLink === info[symbol].index) {
+                let component = [];
+                let member;
+                do {
+                    member = stack.pop();
+                    info[member].onStack = false;
+                    component.unshift(member);
+                } while (member !== symbol);
+                components.push(component);
+            }
+        };
+
+        this._nonTerminals.forEach(symbol => {
+            if (!info[symbol]) {
+                connect(symbol);
+            }
+        });
+
+        return components
+            .filter(component => component.length > 1 ||
+                (edges[component[0]] && edges[component[0]][component[0]]))
+            .map(component => {
+                let productions = [];
+                component.forEach(from => {
+                    component.forEach(to => {
+                        ((edges[from] && edges[from][to]) || []).forEach(number => {
+                            if (productions.indexOf(number) === -1) {
+                                productions.push(number);
+                            }
+                        });
+                    });
+                });
+                return {
+                    symbols: this._nonTerminals.filter(
+                        symbol => component.indexOf(symbol) !== -1
+                    ),
+                    productions: productions.sort((a, b) => a - b),
+                };
+            })
+            // In the order of the grammar.
+            .sort((a, b) => this._nonTerminals.indexOf(a.symbols[0]) -
+                this._nonTerminals.indexOf(b.symbols[0]));
+    }
+}
+
+/**
+ * Appends the production numbers to the message.
+ */
+function finding(data) {
+    data.message += ` (productions: ${data.productions.join(', ')})`;
+    return data;
+}
+
+module.exports = {
+    GrammarAnalyzer,
+};
+
+// --------------------------------------------------------------------------
+// Tests (run when the file is executed directly: `node GrammarAnalyzer.js`)
+// --------------------------------------------------------------------------
+
+if (require.main === module) {
+    const assert = require('assert');
+
+    // The calculator grammar with left recursion, and some typos.
+
+    const analyzer = new GrammarAnalyzer(`
+      E -> E "+" T
+         | T
+      T -> T "*" F
+         | Fact
+      F -> "(" E ")"
+         | "a"
+      X -> "x" X
+      Y -> Z
+         | ε
+      Z -> Y
+    `);
+
+    analyzer.printReport();
+
+    // Output:
+
+    // error: Undefined non-terminal Fact (productions: 4)
+    // warning: Unreachable non-terminal X (productions: 7)
+    // warning: Unreachable non-terminal Y (productions: 8, 9)
+    // warning: Unreachable non-terminal Z (productions: 10)
+    // warning: Unreachable terminal "x" (productions: 7)
+    // error: Non-terminal E derives no string of terminals (productions: 1, 2)
+    // error: Non-terminal T derives no string of terminals (productions: 3, 4)
+    // error: Non-terminal X derives no string of terminals (productions: 7)
+    // error: Derivation cycle Y => Z => Y (productions: 8, 10)
+    // warning: Direct left recursion in E (productions: 1)
+    // warning: Direct left recursion in T (productions: 3)
+    // warning: Indirect left recursion in Y, Z (productions: 8, 10)
+    // info: Nullable non-terminals: Y, Z (productions: 8, 9, 10)
+
+    // Indirect left recursion.
+
+    const indirect = new GrammarAnalyzer(`
+      S -> A "a"
+         | "b"
+      A -> S "c"
+         | "d"
+    `);
+
+    assert.deepEqual(indirect.analyze(), [{
+        type: 'left-recursion',
+        severity: 'warning',
+        symbols: ['S', 'A'],
+        productions: [1, 3],
+        message: 'Indirect left recursion in S, A (productions: 1, 3)',
+    }]);
+
+    // Symbols which are the names of `Object.prototype` properties.
+
+    const prototypeNames = new GrammarAnalyzer(`
+      S -> "a"
+      constructor -> "b"
+      toString -> toString "c"
+    `);
+
+    assert.deepEqual(prototypeNames.analyze().map(finding => finding.message), [
+        'Unreachable non-terminal constructor (productions: 2)',
+        'Unreachable non-terminal toString (productions: 3)',
+        'Unreachable terminal "b" (productions: 2)',
+        'Unreachable terminal "c" (productions: 3)',
+        'Non-terminal toString derives no string of terminals (productions: 3)',
+        'Direct left recursion in toString (productions: 3)',
+    ]);
+}
@@ -0,0 +1,774 @@
+/**
+ * Parser of the grammar text.
+ *
+ * The grammar text is a list of productions, one per line. Alternatives
+ * are separated with `|`, and may continue on the next lines:
+ *
+ *   // Comments are allowed.
+ *   E -> E "+" T
+ *      | T
+ *   T -> "a" | "(" E ")"
+ *
+ * Terminals are quoted (with `"`, or `'`), and may contain any characters,
+ * including spaces and the grammar syntax: `"a b"`, `"->"`, `"|"`. Quotes and
+ * backslashes inside are escaped: `"\""`, `'\''`, `"\\"`. Everything else
+ * that looks like a name is a non-terminal. An empty RHS, or `ε` is the
+ * empty string. The RHS can use EBNF operators: `*`, `+`, `?`, and groups
+ * in parens (which can span several lines), see "EBNF.js".
+ *
+ * Precedence and associativity of the operators are declared as in Yacc,
+ * one level per line, from the lowest to the highest:
+ *
+ *   %left "+" "-"
+ *   %left "*" "/"
+ *   %right "^"
+ *   %nonassoc UMINUS
+ *
+ *   E -> E "+" E | E "*" E | E "^" E | "-" E %prec UMINUS | "n"
+ *
+ * A production has the precedence of its last terminal, or the one given
+ * with `%prec` at the end of the alternative (a terminal, or a name which
+ * is declared only for the precedence, as `UMINUS`). The LR table builders
+ * use it to resolve shift/reduce conflicts, see "LRParsingTable.js".
+ *
+ * An alternative may end with a semantic action, the JavaScript code in
+ * braces (which can span several lines, the braces in its strings, comments,
+ * and regexp literals are not counted), run by the LR parser on reduce,
+ * see "LRparser.js":
+ *
+ *   E -> E "+" T { $$ = ['+', $1, $3] }
+ *      | T
+ *
+ * The text is tokenized with the shared lexer (see "Lexer.js"), and parsed
+ * by a recursive descent parser:
+ *
+ *   Grammar      -> (Declaration | Production)*
+ *   Declaration  -> ("%left" | "%right" | "%nonassoc") (Symbol | Terminal)+
+ *   Production   -> Symbol "->" Alternatives
+ *                 | "|" Alternatives
+ *   Alternatives -> Sequence ("|" Sequence)*
+ *   Sequence     -> Item* ("%prec" (Symbol | Terminal))? Action?
+ *   Item         -> Primary ("*" | "+" | "?")*
+ *   Primary      -> "(" Alternatives ")" | Symbol | Terminal
+ *
+ * Malformed productions are reported with the line and column:
+ *
+ *   SyntaxError: Invalid production at 2:3: unexpected "a", expected "->"
+ */
+
+const {DEFAULT_SKIP_RULES, Lexer} = require('./Lexer.js');
+
+/**
+ * The reserved terminal for the error recovery (written without quotes):
+ * `Stmt -> error ";"`, see "LRparser.js".
+ */
+const ERROR = 'error';
+
+/**
+ * Token type of the reserved `error`, the column of the ACTION table. It's
+ * not `error`, which is the token type of the quoted terminal `"error"`.
+ */
+const ERROR_TYPE = '$error';
+
+/**
+ * Words after which `/` starts a regexp literal, and not a division.
+ */
+const REGEXP_KEYWORDS = [
+    'return', 'typeof', 'instanceof', 'in', 'of', 'new', 'delete', 'void',
+    'throw', 'case', 'do', 'else', 'yield', 'await',
+];
+
+/**
+ * Scans the code of an action from its `{` at the offset, and returns the
+ * offset after the closing `}`, or -1 if the action is unterminated. The
+ * braces are counted, except for the ones in strings, templates, comments,
+ * and regexp literals, which are skipped.
+ */
+function scanAction(text, offset) {
+    return scanCode(text, offset + 1);
+}
+
+/**
+ * Replaces the matches of the regexp (with the `g` flag) in the code of an
+ * action, but not in its strings, templates (except for the code of `${}`),
+ * comments, and regexp literals: `@1` in `"@1"` is left as is.
+ */
+function replaceInCode(code, regexp, replacer) {
+    let literals = [];
+    let start = 0;
+    let result = '';
+
+    // The code is balanced, if it's from the grammar text.
+    scanCode(code + '}', 0, literals);
+
+    literals.concat([[code.length, code.length]]).forEach(([from, to]) => {
+        result += code.slice(start, from).replace(regexp, replacer) + code.slice(from, to);
+        start = to;
+    });
+
+    return result;
+}
+
+/**
+ * Scans the code up to the `}` which closes it (of an action, or of `${`
+ * in a template), returns the offset after it, or -1. The ranges of the
+ * literals and comments are added to the `literals`: [[start, end], ...].
+ */
+function scanCode(text, position, literals = []) {
+    let depth = 0;
+
+    // Whether a `/` here starts a regexp: after an operator, or a keyword,
+    // but not after a value (`a / b`, `f() / 2`).
+    let regexpAllowed = true;
+
+    let literal = (start, end) => {
+        if (end !== -1) {
+            literals.push([start, end]);
+        }
+        return end;
+    };
+
+    while (position < text.length) {
+        let char = text[position];
+        let next = text[position + 1];
+
+        if (char === '/' && next === '/') {
+            let end = text.indexOf('\n', position);
+            end = end === -1 ? text.length : end;
+
+            literals.push([position, end]);
+            position = end;
+            continue;
+        }
+
+        if (char === '/' && next === '*') {
+            let end = text.indexOf('*/', position + 2);
+
+            if (end === -1) {
+                return -1;
+            }
+            literals.push([position, end + 2]);
+            position = end + 2;
+            continue;
+        }
+
+        if (/\s/.test(char)) {
+            position++;
+            continue;
+        }
+
+        if (char === '"' || char === "'") {
+            position = literal(position, scanString(text, position));
+            regexpAllowed = false;
+        } else if (char === '`') {
+            position = scanTemplate(text, position, literals);
+            regexpAllowed = false;
+        } else if (char === '/' && regexpAllowed) {
+            position = literal(position, scanRegExp(text, position));
+            regexpAllowed = false;
+        } else if (/[\w$\u0080-\uffff]/.test(char)) {
+            let word = /[\w$\u0080-\uffff]+/y;
+            word.lastIndex = position;
+            word = word.exec(text)[0];
+
+            position += word.length;
+            regexpAllowed = REGEXP_KEYWORDS.indexOf(word) !== -1;
+        } else if (char === '}' && !depth) {
+            return position + 1;
+        } else {
+            if (char === '{') {
+                depth++;
+            } else if (char === '}') {
+                depth--;
+            }
+
+            position++;
+            regexpAllowed = ')]}'.indexOf(char) === -1;
+        }
+
+        if (position === -1) {
+            return -1;
+        }
+    }
+
+    return -1;
+}
+
+/**
+ * Returns the offset after the string at the position, or -1.
+ */
+function scanString(text, position) {
+    let quote = text[position];
+
+    for (position++; position < text.length; position++) {
+        if (text[position] === '\\') {
+            position++;
+        } else if (text[position] === quote) {
+            return position + 1;
+        } else if (text[position] === '\n') {
+            return -1;
+        }
+    }
+
+    return -1;
+}
+
+/**
+ * Returns the offset after the template at the position, or -1. The code
+ * of the `${}` substitutions can have templates too. The text parts are
+ * added to the `literals` (as in `scanCode`).
+ */
+function scanTemplate(text, position, literals) {
+    let start = position;
+
+    for (position++; position < text.length; position++) {
+        if (text[position] === '\\') {
+            position++;
+        } else if (text[position] === '`') {
+            literals.push([start, position + 1]);
+            return position + 1;
+        } else if (text[position] === '$' && text[position + 1] === '{') {
+            literals.push([start, position + 2]);
+            position = scanCode(text, position + 2, literals);
+
+            if (position === -1) {
+                return -1;
+            }
+            start = position - 1;
+            position--;
+        }
+    }
+
+    return -1;
+}
+
+/**
+ * Returns the offset after the regexp literal (and its flags) at the
+ * position, or -1. A `/` in a class (`[/]`) doesn't end it.
+ */
+function scanRegExp(text, position) {
+    let inClass = false;
+
+    for (position++; position < text.length; position++) {
+        let char = text[position];
+
+        if (char === '\\') {
+            position++;
+        } else if (char === '[') {
+            inClass = true;
+        } else if (char === ']') {
+            inClass = false;
+        } else if (char === '/' && !inClass) {
+            let flags = /[a-z]*/y;
+            flags.lastIndex = position + 1;
+            return position + 1 + flags.exec(text)[0].length;
+        } else if (char === '\n') {
+            return -1;
+        }
+    }
+
+    return -1;
+}
+
+const ACTION_RULE = {type: 'ACTION'};
+const UNTERMINATED_ACTION_RULE = {type: 'UNTERMINATED_ACTION'};
+
+/**
+ * The lexer of the grammar text: the actions are matched by `scanAction`,
+ * since a regexp cannot balance the braces of the code.
+ */
+class GrammarLexer extends Lexer {
+    match(source, offset) {
+        if (source[offset] !== '{') {
+            return super.match(source, offset);
+        }
+
+        let end = scanAction(source, offset);
+
+        return end === -1
+            ? {rule: UNTERMINATED_ACTION_RULE, value: '{'}
+            : {rule: ACTION_RULE, value: source.slice(offset, end)};
+    }
+}
+
+const grammarLexer = new GrammarLexer([
+    {type: 'TERMINAL', pattern: /"(?:[^"\\\n]|\\.)*"|'(?:[^'\\\n]|\\.)*'/},
+    {type: 'UNTERMINATED', pattern: /"(?:[^"\\\n]|\\.)*|'(?:[^'\\\n]|\\.)*/},
+    {type: 'SYMBOL', pattern: /[A-Za-z_$\u0080-\uffff][\w$'\u0080-\uffff]*/},
+    {type: '->', pattern: '->'},
+    {type: '|', pattern: '|'},
+    {type: '(', pattern: '('},
+    {type: ')', pattern: ')'},
+    {type: '*', pattern: '*'},
+    {type: '+', pattern: '+'},
+    {type: '?', pattern: '?'},
+    {type: 'DIRECTIVE', pattern: /%[A-Za-z]+/},
+], {skip: DEFAULT_SKIP_RULES});
+
+const ASSOCIATIVITY = {
+    '%left': 'left',
+    '%right': 'right',
+    '%nonassoc': 'nonassoc',
+};
+
+/**
+ * Parses the grammar text into the list of productions:
+ *
+ *   [{LHS: 'E', line: 1, column: 1, alternatives: [<sequence>, ...]}, ...]
+ *
+ * A sequence is a list of nodes: {type: 'symbol', symbol, line, column},
+ * {type: 'group', alternatives}, and {type: '*' | '+' | '?', operand}.
+ * A symbol is as it's written in the text, terminals are with quotes.
+ * The `| ...` lines add alternatives to the previous production.
+ *
+ * A top-level sequence may end with {type: 'prec', symbol, line, column}
+ * for `%prec`, where the symbol is a token type (unquoted), and with
+ * {type: 'action', code, line, column} for the action.
+ */
+function parseGrammarText(text) {
+    return parseGrammar(text).productions;
+}
+
+/**
+ * Parses the grammar text with the declarations, returns:
+ *
+ *   {
+ *     productions: <see parseGrammarText>,
+ *     operators: {'+': {level: 1, associativity: 'left'}, ...},
+ *   }
+ *
+ * The operators are keyed by the token type (terminals are unquoted),
+ * a greater level is a higher precedence.
+ */
+function parseGrammar(text) {
+    return new GrammarParser(text).parse();
+}
+
+/**
+ * Parses one plain production (no EBNF): `A -> "a" B`,
+ * returns {LHS: 'A', RHS: ['"a"', 'B']}.
+ */
+function parseProduction(text) {
+    let productions = parseGrammarText(text);
+    let alternatives = productions.length === 1 && productions[0].alternatives;
+
+    if (!alternatives || alternatives.length !== 1 ||
+        alternatives[0].some(node => node.type !== 'symbol')) {
+        throw new SyntaxError(`Expected one plain production: ${text}`);
+    }
+
+    return {
+        LHS: productions[0].LHS,
+        RHS: alternatives[0].map(node => node.symbol),
+    };
+}
+
+/**
+ * The value of a quoted terminal: `"\""` -> `"`. The reserved `error` gets
+ * its own token type (`ERROR_TYPE`), other unquoted names (declared only
+ * for `%prec`) are returned as is.
+ */
+function unquote(terminal) {
+    const escapes = {n: '\n', t: '\t', r: '\r'};
+
+    if (terminal === ERROR) {
+        return ERROR_TYPE;
+    }
+
+    if (terminal[0] !== '"' && terminal[0] !== "'") {
+        return terminal;
+    }
+
+    return terminal
+        .slice(1, -1)
+        .replace(/\\(.)/g, (escape, char) => escapes[char] || char);
+}
+
+class GrammarParser {
+    constructor(text) {
+        this._text = text;
+        this._tokens = grammarLexer.tokenize(text);
+
+        // Line of the last consumed token: a production ends at the end
+        // of the line (unless it's inside parens, or the next line is `|`).
+        this._line = 0;
+        this._depth = 0;
+
+        this._operators = {};
+        this._level = 0;
+    }
+
+    parse() {
+        let productions = [];
+
+        while (!this._tokens.isEOF()) {
+            let token = this._peek();
+
+            if (token.type === 'DIRECTIVE') {
+                this._parseDeclaration();
+            } else if (token.type === '|' && productions.length) {
+                this._next();
+                let production = productions[productions.length - 1];
+                production.alternatives.push(...this._parseAlternatives());
+            } else {
+                let LHS = this._expect('SYMBOL', 'a non-terminal');
+
+                if (LHS.value === ERROR) {
+                    this._fail(LHS, '`error` is reserved for the error recovery');
+                }
+
+                this._expect('->', '"->"');
+
+                productions.push({
+                    LHS: LHS.value,
+                    line: LHS.line,
+                    column: LHS.column,
+                    alternatives: this._parseAlternatives(),
+                });
+            }
+
+            // The production should end here.
+            if (!this._tokens.isEOF() && !this._isNewLine()) {
+                this._error(this._peek(), 'the end of the line');
+            }
+        }
+
+        // %prec names should be declared (anywhere in the grammar).
+        productions.forEach(production => production.alternatives.forEach(sequence => {
+            let prec = sequence.find(node => node.type === 'prec');
+
+            if (prec && !this._operators.hasOwnProperty(prec.symbol)) {
+                this._fail(prec, `no precedence is declared for ${prec.symbol}`);
+            }
+        }));
+
+        return {productions, operators: this._operators};
+    }
+
+    /**
+     * `%left "+" "-"`: the next precedence level.
+     */
+    _parseDeclaration() {
+        let directive = this._next();
+
+        if (!ASSOCIATIVITY.hasOwnProperty(directive.value)) {
+            this._fail(directive, `unknown declaration ${directive.value}`, 'declaration');
+        }
+
+        this._level++;
+
+        do {
+            let token = this._peek();
+
+            if (['SYMBOL', 'TERMINAL'].indexOf(token.type) === -1 || this._isNewLine()) {
+                this._error(token, 'a terminal', 'declaration');
+            }
+
+            let symbol = this._tokenType(this._next());
+
+            if (this._operators.hasOwnProperty(symbol)) {
+                this._fail(token, `precedence of ${token.value} is already declared`, 'declaration');
+            }
+
+            this._operators[symbol] = {
+                level: this._level,
+                associativity: ASSOCIATIVITY[directive.value],
+            };
+        } while (['SYMBOL', 'TERMINAL'].indexOf(this._peek().type) !== -1 &&
+            !this._isNewLine());
+    }
+
+    _parseAlternatives() {
+        let alternatives = [this._parseSequence()];
+
+        while (this._peek().type === '|' && (this._depth || !this._isNewLine())) {
+            this._next();
+            alternatives.push(this._parseSequence());
+        }
+
+        return alternatives;
+    }
+
+    _parseSequence() {
+        let sequence = [];
+
+        while (['SYMBOL', 'TERMINAL', '(', 'UNTERMINATED']
+            .indexOf(this._peek().type) !== -1 &&
+            (this._depth || !this._isNewLine())) {
+            sequence.push(this._parseItem());
+        }
+
+        if (this._peek().type === 'DIRECTIVE' && this._peek().value === '%prec' &&
+            !this._depth && !this._isNewLine()) {
+            this._next();
+
+            let token = this._peek();
+
+            if (['SYMBOL', 'TERMINAL'].indexOf(token.type) === -1 || this._isNewLine()) {
+                this._error(token, 'a terminal');
+            }
+
+            sequence.push({
+                type: 'prec',
+                symbol: this._tokenType(this._next()),
+                line: token.line,
+                column: token.column,
+            });
+        }
+
+        // The action may also start on the next line.
+        if (this._peek().type === 'UNTERMINATED_ACTION' && !this._depth) {
+            this._fail(this._peek(), 'unterminated action');
+        }
+
+        if (this._peek().type === 'ACTION' && !this._depth) {
+            let token = this._next();
+
+            sequence.push({
+                type: 'action',
+                code: token.value.slice(1, -1).trim(),
+                line: token.line,
+                column: token.column,
+            });
+        }
+
+        return sequence;
+    }
+
+    /**
+     * Token type of a terminal (unquoted), or a name.
+     */
+    _tokenType(token) {
+        return token.type === 'TERMINAL' ? unquote(token.value) : token.value;
+    }
+
+    _parseItem() {
+        let item = this._parsePrimary();
+
+        while (['*', '+', '?'].indexOf(this._peek().type) !== -1 &&
+            !this._isNewLine()) {
+            item = {type: this._next().type, operand: item};
+        }
+
+        return item;
+    }
+
+    _parsePrimary() {
+        let token = this._next();
+
+        if (token.type === 'UNTERMINATED') {
+            this._fail(token, `unterminated terminal ${token.value}`);
+        }
+
+        if (token.type === '(') {
+            this._depth++;
+            let alternatives = this._parseAlternatives();
+            this._expect(')', '")"');
+            this._depth--;
+            return {type: 'group', alternatives};
+        }
+
+        return {
+            type: 'symbol',
+            symbol: token.value,
+            line: token.line,
+            column: token.column,
+        };
+    }
+
+    _isNewLine() {
+        return this._peek().line > this._line;
+    }
+
+    _expect(type, description) {
+        if (this._peek().type !== type) {
+            this._error(this._peek(), description);
+        }
+        return this._next();
+    }
+
+    _peek() {
+        try {
+            return this._tokens.peek();
+        } catch (error) {
+            // Lexer error, the error has the position of the character.
+            this._fail(error, `unexpected character "${this._text[error.offset]}"`);
+        }
+    }
+
+    _next() {
+        let token = this._peek();
+
+        // The last line of the token (an action can span several lines).
+        this._line = token.line + (token.value.match(/\n/g) || []).length;
+        return this._tokens.next();
+    }
+
+    _error(token, expected, what) {
+        let found = token.type === '$'
+            ? 'end of the grammar'
+            : token.type === 'TERMINAL' ? token.value : `"${token.value}"`;
+
+        this._fail(token, `unexpected ${found}, expected ${expected}`, what);
+    }
+
+    _fail(token, message, what = 'production') {
+        let error = new SyntaxError(
+            `Invalid ${what} at ${token.line}:${token.column}: ${message}`
+        );
+        error.line = token.line;
+        error.column = token.column;
+        throw error;
+    }
+}
+
+module.exports = {
+    ERROR,
+    ERROR_TYPE,
+    parseGrammar,
+    parseGrammarText,
+    parseProduction,
+    replaceInCode,
+    unquote,
+};
+
+// Testing (runs when the file is executed directly: `node GrammarParser.js`)
+
+if (require.main === module) {
+    const assert = require('assert');
+
+    const productions = parseGrammarText(`
+        // Terminals with spaces, grammar syntax, and escapes.
+        Stmt -> "a b" "->" Stmt   // a comment
+              | '|' "\\"" ε
+        Block -> "{"
+               | ("(" Stmt
+                  ")")*
+        Empty ->
+    `);
+
+    productions.forEach(production => {
+        console.log(
+            `${production.LHS} (${production.line}:${production.column}):`,
+            production.alternatives.map(sequence =>
+                sequence.map(node => node.symbol || node.type).join(' ')
+            ).join(' | ')
+        );
+    });
+
+    // Output:
+
+    // Stmt (3:9): "a b" "->" Stmt | '|' "\\"" ε
+    // Block (5:9): "{" | *
+    // Empty (8:9):
+
+    assert.equal(unquote('"\\""'), '"');
+    assert.equal(unquote("'a b'"), 'a b');
+    assert.equal(unquote('error'), ERROR_TYPE);
+    assert.equal(unquote('"error"'), 'error');
+
+    assert.deepEqual(parseProduction(`S' -> S "x"`), {LHS: "S'", RHS: ['S', '"x"']});
+
+    // Precedence declarations.
+
+    const {productions: expression, operators} = parseGrammar(`
+        %left "+" '-'
+        %left "*"
+        %right "^"
+        %nonassoc UMINUS
+
+        E -> E "+" E | E "^" E
+           | "-" E %prec UMINUS
+    `);
+
+    console.log(operators);
+    console.log(expression[0].alternatives[2]);
+
+    // Output:
+
+    // {
+    //   '+': { level: 1, associativity: 'left' },
+    //   '-': { level: 1, associativity: 'left' },
+    //   '*': { level: 2, associativity: 'left' },
+    //   '^': { level: 3, associativity: 'right' },
+    //   UMINUS: { level: 4, associativity: 'nonassoc' }
+    // }
+    // [
+    //   { type: 'symbol', symbol: '"-"', line: 8, column: 14 },
+    //   { type: 'symbol', symbol: 'E', line: 8, column: 18 },
+    //   { type: 'prec', symbol: 'UMINUS', line: 8, column: 26 }
+    // ]
+
+    // Actions, with braces in the code, and in its strings.
+
+    const [call] = parseGrammarText(`
+        Call -> "id" "(" ")" { $$ = {type: 'call', name: $1, brace: '}'} }
+              | "id"
+                {
+                  if ($1) { $$ = $1; }
+                }
+    `);
+
+    assert.deepEqual(call.alternatives.map(sequence => sequence[sequence.length - 1].code), [
+        "$$ = {type: 'call', name: $1, brace: '}'}",
+        'if ($1) { $$ = $1; }',
+    ]);
+
+    // Braces and quotes in comments, regexp literals, and templates, and
+    // the braces nested deeper.
+
+    const [code] = parseGrammarText(`
+        S -> "a" { // don't count it }
+                   $$ = $1 }
+           | "b" { $$ = /"/.test($1) && /[/}]/.test($1) / 2 }
+           | "c" { /* } */ $$ = \`\${ {a: {b: '}'}}.a } }\` }
+           | "d" { if (a) { if (b) { if (c) { if (d) { $$ = 1; } } } } }
+    `);
+
+    assert.deepEqual(code.alternatives.map(sequence => sequence[sequence.length - 1].code), [
+        "// don't count it }\n                   $$ = $1",
+        '$$ = /"/.test($1) && /[/}]/.test($1) / 2',
+        "/* } */ $$ = `${ {a: {b: '}'}}.a } }`",
+        'if (a) { if (b) { if (c) { if (d) { $$ = 1; } } } }',
+    ]);
+
+    // Errors.
+
+    const errorOf = text => {
+        try {
+            parseGrammarText(text);
+        } catch (error) {
+            return error.message;
+        }
+    };
+
+    console.log(errorOf('S -> "a"\nS "b"'));
+    console.log(errorOf('S -> "a" -> "b"'));
+    console.log(errorOf('S -> "a\nA -> "b"'));
+    console.log(errorOf('S -> ("a" | "b"'));
+    console.log(errorOf('| "a"'));
+    console.log(errorOf('S -> "a" # "b"'));
+    console.log(errorOf('%left "+"\n%right "+"'));
+    console.log(errorOf('%token "+"'));
+    console.log(errorOf('S -> "a" %prec X'));
+    console.log(errorOf('S -> ("a" %prec "a")'));
+    console.log(errorOf('S -> "a" { $$ = 1 '));
+    console.log(errorOf('S -> "a" { $$ = 1 } "b"'));
+    console.log(errorOf('S -> error ";"\nerror -> "x"'));
+
+    // Output:
+
+    // Invalid production at 2:3: unexpected "b", expected "->"
+    // Invalid production at 1:10: unexpected "->", expected the end of the line
+    // Invalid production at 1:6: unterminated terminal "a
+    // Invalid production at 1:16: unexpected end of the grammar, expected ")"
+    // Invalid production at 1:1: unexpected "|", expected a non-terminal
+    // Invalid production at 1:10: unexpected character "#"
+    // Invalid declaration at 2:8: precedence of "+" is already declared
+    // Invalid declaration at 1:1: unknown declaration %token
+    // Invalid production at 1:16: no precedence is declared for X
+    // Invalid production at 1:11: unexpected "%prec", expected ")"
+    // Invalid production at 1:10: unterminated action
+    // Invalid production at 1:21: unexpected "b", expected the end of the line
+    // Invalid production at 2:1: `error` is reserved for the error recovery
+}
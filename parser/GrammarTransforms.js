@@ -0,0 +1,479 @@
+/**
+ * Grammar transformations for LL(1) parsing.
+ *
+ * A natural way to write an expression grammar is left-recursive:
+ *
+ *   1. E -> E + T
+ *   2. E -> T
+ *
+ * An LL parser cannot use it: to choose between the productions of `E` it
+ * has to look at the first token, and both of them start with the same
+ * tokens (the ones which start `T`). Before it can be used, the grammar has
+ * to be rewritten (as the calculator grammar in "ParserTable.js" was):
+ *
+ *   1. E -> T E'
+ *   2. E' -> + T E'
+ *   3. E' -> ε
+ *
+ * The transformations here do this automatically:
+ *
+ *   - `eliminateLeftRecursion` removes direct (`A -> A α`), and indirect
+ *     (`A -> B α`, `B -> A β`) left recursion;
+ *
+ *   - `leftFactor` factors out common prefixes of the productions of the
+ *     same non-terminal (`A -> a b | a c` becomes `A -> a A'`, `A' -> b | c`);
+ *
+ *   - `transformForLL1` applies both.
+ *
+ * A transformation receives a numbered grammar ({1: 'E -> E + T', ...}, the
+ * format of "first and follow.js"), and returns a new one with the mapping
+ * of its productions to the original ones:
+ *
+ *   {
+ *     grammar: {1: "E -> T E'", 2: "E' -> + T E'", 3: "E' -> ε"},
+ *     origins: {1: [2], 2: [1], 3: []},
+ *   }
+ *
+ * The origins of a new production are the numbers of the original
+ * productions it's derived from (several, if it's a result of substitution
+ * or factoring), and an empty list for the added ε-productions.
+ */
+
+const {
+    EPSILON,
+    buildNullableSet,
+    getLHS,
+    getRHS,
+} = require('./first and follow.js');
+
+/**
+ * Removes left recursion (Dragon book, algorithm 4.19). Non-terminals are
+ * ordered as they appear in the grammar, A1..An, and for each Ai:
+ *
+ *   - a production `Ai -> Aj γ` (j < i) is replaced with `Ai -> δ γ` for
+ *     every `Aj -> δ`, so indirect recursion becomes direct. This is done
+ *     only if Aj leads back to Ai, to keep the other productions as they are;
+ *
+ *   - direct recursion `Ai -> Ai α | β` is replaced with the right one:
+ *     `Ai -> β Ai'`, `Ai' -> α Ai' | ε`.
+ *
+ * The grammar should have no cycles (`A =>+ A`). Left recursion hidden
+ * behind nullable symbols (`A -> B A a`, where B is nullable) is not removed,
+ * an error is thrown in this case.
+ */
+function eliminateLeftRecursion(grammar) {
+    let productions = toProductions(grammar);
+    let nonTerminals = getNonTerminals(productions);
+
+    nonTerminals.forEach((Ai, i) => {
+        nonTerminals.slice(0, i).forEach(Aj => {
+            if (!leadsTo(productions, Aj, Ai)) {
+                return;
+            }
+
+            productions = flatMap(productions, production => {
+                if (production.LHS !== Ai || production.RHS[0] !== Aj) {
+                    return [production];
+                }
+
+                return productions
+                    .filter(substitution => substitution.LHS === Aj)
+                    .map(substitution => ({
+                        LHS: Ai,
+                        RHS: substitution.RHS.concat(production.RHS.slice(1)),
+                        origins: union(production.origins, substitution.origins),
+                    }));
+            });
+        });
+
+        productions = eliminateDirectLeftRecursion(productions, Ai);
+    });
+
+    let recursive = getNonTerminals(productions)
+        .filter(symbol => leadsTo(productions, symbol, symbol));
+
+    if (recursive.length) {
+        throw new Error(
+            `Cannot eliminate left recursion in: ${recursive.join(', ')}`
+        );
+    }
+
+    return toResult(productions);
+}
+
+/**
+ * `A -> A α | β` is replaced with `A -> β A'`, `A' -> α A' | ε`.
+ */
+function eliminateDirectLeftRecursion(productions, A) {
+    let isRecursive = production =>
+        production.LHS === A && production.RHS[0] === A;
+
+    if (!productions.some(isRecursive)) {
+        return productions;
+    }
+
+    let tail = newNonTerminal(productions, A);
+    let tailProductions = [];
+
+    productions = flatMap(productions, production => {
+        if (production.LHS !== A) {
+            return [production];
+        }
+
+        if (isRecursive(production)) {
+            // `A -> A` is just dropped, it derives nothing new.
+            if (production.RHS.length > 1) {
+                tailProductions.push({
+                    LHS: tail,
+                    RHS: production.RHS.slice(1).concat(tail),
+                    origins: production.origins,
+                });
+            }
+            return [];
+        }
+
+        return [{
+            LHS: A,
+            RHS: production.RHS.concat(tail),
+            origins: production.origins,
+        }];
+    });
+
+    tailProductions.push({LHS: tail, RHS: [], origins: []});
+
+    return insertAfter(productions, A, tailProductions);
+}
+
+/**
+ * Left factoring: the productions of a non-terminal which start with the
+ * same symbol, `A -> α β1 | α β2 | γ`, where α is their longest common
+ * prefix, are replaced with `A -> α A' | γ`, `A' -> β1 | β2`. This is
+ * repeated until no productions have common prefixes.
+ */
+function leftFactor(grammar) {
+    let productions = toProductions(grammar);
+    let changed = true;
+
+    while (changed) {
+        changed = false;
+
+        for (let A of getNonTerminals(productions)) {
+            let group = findCommonPrefixGroup(productions, A);
+
+            if (!group) {
+                continue;
+            }
+
+            let prefix = commonPrefix(group.map(production => production.RHS));
+            let tail = newNonTerminal(productions, A);
+
+            let factored = {
+                LHS: A,
+                RHS: prefix.concat(tail),
+                origins: group.reduce(
+                    (origins, production) => union(origins, production.origins),
+                    []
+                ),
+            };
+
+            // The factored production takes the place of the first one in
+            // the group, and the tails go after the productions of `A`.
+            productions = flatMap(productions, production => {
+                if (production === group[0]) {
+                    return [factored];
+                }
+                return group.indexOf(production) === -1 ? [production] : [];
+            });
+
+            productions = insertAfter(productions, A, group.map(production => ({
+                LHS: tail,
+                RHS: production.RHS.slice(prefix.length),
+                origins: production.origins,
+            })));
+
+            changed = true;
+            break;
+        }
+    }
+
+    return toResult(productions);
+}
+
+/**
+ * Removes left recursion, and then left-factors the grammar. The origins
+ * of the result refer to the productions of the original grammar.
+ */
+function transformForLL1(grammar) {
+    let withoutRecursion = eliminateLeftRecursion(grammar);
+    let factored = leftFactor(withoutRecursion.grammar);
+
+    let origins = {};
+    for (let k in factored.origins) {
+        origins[k] = factored.origins[k].reduce(
+            (result, number) => union(result, withoutRecursion.origins[number]),
+            []
+        );
+    }
+
+    return {
+        grammar: factored.grammar,
+        origins,
+    };
+}
+
+/**
+ * The productions of `A` which start with the same symbol,
+ * or null, if all of them start differently.
+ */
+function findCommonPrefixGroup(productions, A) {
+    let byFirstSymbol = {};
+
+    for (let production of productions) {
+        if (production.LHS !== A || !production.RHS.length) {
+            continue;
+        }
+
+        let first = production.RHS[0];
+        let group = byFirstSymbol[first] || (byFirstSymbol[first] = []);
+
+        group.push(production);
+
+        if (group.length === 2) {
+            return productions.filter(other => other.LHS === A &&
+                other.RHS.length && other.RHS[0] === first);
+        }
+    }
+
+    return null;
+}
+
+function commonPrefix(sequences) {
+    let prefix = [];
+
+    for (let i = 0; i < sequences[0].length; i++) {
+        if (!sequences.every(sequence => sequence[i] === sequences[0][i])) {
+            break;
+        }
+        prefix.push(sequences[0][i]);
+    }
+
+    return prefix;
+}
+
+/**
+ * Whether `to` can be the leftmost symbol of a string derived from `from`
+ * (`from =>+ to ...`), taking into account nullable symbols.
+ */
+function leadsTo(productions, from, to) {
+    let nullable = buildNullableSet(toResult(productions).grammar);
+    let visited = {};
+    let queue = [from];
+
+    while (queue.length) {
+        let symbol = queue.shift();
+
+        for (let production of productions) {
+            if (production.LHS !== symbol) {
+                continue;
+            }
+
+            for (let next of production.RHS) {
+                if (next === to) {
+                    return true;
+                }
+                if (!visited[next]) {
+                    visited[next] = true;
+                    queue.push(next);
+                }
+                if (!nullable[next]) {
+                    break;
+                }
+            }
+        }
+    }
+
+    return false;
+}
+
+/**
+ * A name for a new non-terminal: `A'`, `A''`, etc.
+ */
+function newNonTerminal(productions, A) {
+    let name = A + "'";
+    let isUsed = name => productions.some(production =>
+        production.LHS === name || production.RHS.indexOf(name) !== -1);
+
+    while (isUsed(name)) {
+        name += "'";
+    }
+
+    return name;
+}
+
+/**
+ * Inserts the productions after the last production of `A`.
+ */
+function insertAfter(productions, A, inserted) {
+    let last = -1;
+    productions.forEach((production, index) => {
+        if (production.LHS === A) {
+            last = index;
+        }
+    });
+
+    return productions
+        .slice(0, last + 1)
+        .concat(inserted, productions.slice(last + 1));
+}
+
+function getNonTerminals(productions) {
+    let nonTerminals = [];
+    productions.forEach(production => {
+        if (nonTerminals.indexOf(production.LHS) === -1) {
+            nonTerminals.push(production.LHS);
+        }
+    });
+    return nonTerminals;
+}
+
+/**
+ * Numbered grammar into the list of {LHS, RHS, origins}.
+ */
+function toProductions(grammar) {
+    let productions = [];
+    for (let k in grammar) {
+        productions.push({
+            LHS: getLHS(grammar[k]),
+            RHS: getRHS(grammar[k]),
+            origins: [Number(k)],
+        });
+    }
+    return productions;
+}
+
+/**
+ * The list of {LHS, RHS, origins} into the numbered grammar and origins.
+ */
+function toResult(productions) {
+    let grammar = {};
+    let origins = {};
+
+    productions.forEach((production, index) => {
+        let RHS = production.RHS.length ? production.RHS.join(' ') : EPSILON;
+        grammar[index + 1] = `${production.LHS} -> ${RHS}`;
+        origins[index + 1] = production.origins;
+    });
+
+    return {grammar, origins};
+}
+
+function flatMap(array, fn) {
+    return array.reduce((result, item) => result.concat(fn(item)), []);
+}
+
+function union(a, b) {
+    return a.concat(b.filter(item => a.indexOf(item) === -1)).sort((x, y) => x - y);
+}
+
+module.exports = {
+    eliminateLeftRecursion,
+    leftFactor,
+    transformForLL1,
+};
+
+// Testing (runs when the file is executed directly: `node GrammarTransforms.js`)
+
+if (require.main === module) {
+    const assert = require('assert');
+
+    function printResult({grammar, origins}) {
+        for (let k in grammar) {
+            console.log(`  ${k}. ${grammar[k]}`.padEnd(24), '<-', origins[k]);
+        }
+        console.log('');
+    }
+
+    // Direct left recursion, the calculator grammar.
+
+    printResult(eliminateLeftRecursion({
+        1: 'E -> E + T',
+        2: 'E -> T',
+        3: 'T -> T * F',
+        4: 'T -> F',
+        5: 'F -> ( E )',
+        6: 'F -> a',
+    }));
+
+    // Results:
+
+    //   1. E -> T E'           <- [ 2 ]
+    //   2. E' -> + T E'        <- [ 1 ]
+    //   3. E' -> ε             <- []
+    //   4. T -> F T'           <- [ 4 ]
+    //   5. T' -> * F T'        <- [ 3 ]
+    //   6. T' -> ε             <- []
+    //   7. F -> ( E )          <- [ 5 ]
+    //   8. F -> a              <- [ 6 ]
+
+    // Indirect left recursion: S => A a => S d a.
+
+    printResult(eliminateLeftRecursion({
+        1: 'S -> A a',
+        2: 'S -> b',
+        3: 'A -> A c',
+        4: 'A -> S d',
+        5: 'A -> ε',
+    }));
+
+    // Results:
+
+    //   1. S -> A a            <- [ 1 ]
+    //   2. S -> b              <- [ 2 ]
+    //   3. A -> b d A'         <- [ 2, 4 ]
+    //   4. A -> A'             <- [ 5 ]
+    //   5. A' -> c A'          <- [ 3 ]
+    //   6. A' -> a d A'        <- [ 1, 4 ]
+    //   7. A' -> ε             <- []
+
+    // Left factoring.
+
+    printResult(leftFactor({
+        1: 'Stmt -> if Cond then Stmt else Stmt',
+        2: 'Stmt -> if Cond then Stmt',
+        3: 'Stmt -> print',
+        4: 'Cond -> c',
+    }));
+
+    // Results:
+
+    //   1. Stmt -> if Cond then Stmt Stmt' <- [ 1, 2 ]
+    //   2. Stmt -> print       <- [ 3 ]
+    //   3. Stmt' -> else Stmt  <- [ 1 ]
+    //   4. Stmt' -> ε          <- [ 2 ]
+    //   5. Cond -> c           <- [ 4 ]
+
+    // Both transformations.
+
+    const transformed = transformForLL1({
+        1: 'E -> E + T',
+        2: 'E -> T',
+        3: 'T -> a',
+        4: 'T -> a ( E )',
+    });
+
+    printResult(transformed);
+
+    // Results:
+
+    //   1. E -> T E'           <- [ 2 ]
+    //   2. E' -> + T E'        <- [ 1 ]
+    //   3. E' -> ε             <- []
+    //   4. T -> a T'           <- [ 3, 4 ]
+    //   5. T' -> ε             <- [ 3 ]
+    //   6. T' -> ( E )         <- [ 4 ]
+
+    assert.throws(
+        () => eliminateLeftRecursion({1: 'A -> B A a', 2: 'A -> b', 3: 'B -> ε'}),
+        /Cannot eliminate left recursion in: A/
+    );
+}
@@ -0,0 +1,336 @@
+/**
+ * LALR(1) parsing table.
+ *
+ * SLR(1) reduces an item `A -> α •` on the whole Follow(A), even though in
+ * a particular state only a part of it can follow. E.g. in the grammar:
+ *
+ *   1. S -> L "=" R
+ *   2. S -> R
+ *   3. L -> "*" R
+ *   4. L -> "id"
+ *   5. R -> L
+ *
+ * after `L` at the beginning of the input (state 2) only "=", and `$` can
+ * follow, but the SLR table also reduces `R -> L •` on "=", since "=" is in
+ * Follow(R) (from `S -> L "=" R` and `L -> "*" R`), and gets a shift/reduce
+ * conflict.
+ *
+ * LALR(1) uses the same LR(0) automaton (so the table has the same number
+ * of states), but computes lookaheads for each state separately. The
+ * computation here is by DeRemer and Pennello ("Efficient Computation of
+ * LALR(1) Look-Ahead Sets", 1982), which works on the transitions of the
+ * automaton by non-terminals, (p, A) -- "state p, goto on A":
+ *
+ *   - DR(p, A): terminals which directly follow A -- the terminal
+ *     transitions of the state goto(p, A);
+ *
+ *   - (p, A) reads (r, C), if r = goto(p, A), and C is nullable: what
+ *     follows C also follows A. Read(p, A) = DR(p, A) ∪ Read of all reads;
+ *
+ *   - (p, A) includes (p', B), if there is `B -> β A γ`, where γ is
+ *     nullable, and p' goes to p by β: what follows B in p' also follows A
+ *     in p. Follow(p, A) = Read(p, A) ∪ Follow of all includes;
+ *
+ *   - (q, A -> ω) lookback (p, A), if p goes to q by ω: the lookaheads
+ *     of reducing `A -> ω •` in the state q are all Follow(p, A).
+ *
+ * The unions over the relations are computed by the `digraph` algorithm,
+ * which handles the cycles of the relations in linear time.
+ */
+
+const {LRParsingTable, EOF} = require('./LRParsingTable.js');
+const {GrammarSymbol} = require('./LR(0)item.js');
+const {buildNullableSet} = require('./first and follow.js');
+const {unquote} = require('./GrammarParser.js');
+
+class LALRParsingTable extends LRParsingTable {
+    constructor(options) {
+        super(options);
+
+        this._nullable = buildNullableSet(this._grammar.toParsedGrammar());
+
+        // Lookaheads of the final items: {state: {production: {terminal: true}}}.
+        this._lookaheads = {};
+
+        this._computeLookaheads();
+        this._build();
+    }
+
+    getReduceLookaheads(state, item) {
+        let lookaheads = this._lookaheads[state.getNumber()] || {};
+        return Object.keys(lookaheads[item.getProduction().getNumber()] || {});
+    }
+
+    _computeLookaheads() {
+        let transitions = this._getNonTerminalTransitions();
+
+        let read = digraph(
+            transitions,
+            transition => this._reads(transition, transitions),
+            transition => this._directlyReads(transition)
+        );
+
+        let includes = this._buildIncludesAndLookback(transitions);
+
+        let follow = digraph(
+            transitions,
+            transition => includes[transition.key],
+            transition => read[transition.key]
+        );
+
+        // LA(q, A -> ω) = ∪ {Follow(p, A) | (q, A -> ω) lookback (p, A)}.
+        this._lookback.forEach(({state, production, transition}) => {
+            let lookaheads = this._lookaheads[state] || (this._lookaheads[state] = {});
+            let set = lookaheads[production] || (lookaheads[production] = {});
+
+            Object.assign(set, follow[transition.key]);
+        });
+    }
+
+    /**
+     * All (p, A) transitions: {key: {key, state, symbol, target}},
+     * where the key is "p A".
+     */
+    _getNonTerminalTransitions() {
+        let transitions = {};
+
+        this._collection.getStates().forEach(state => {
+            let stateTransitions = state.getTransitions();
+
+            for (let symbol in stateTransitions) {
+                if (isTerminal(symbol)) {
+                    continue;
+                }
+                let key = transitionKey(state.getNumber(), symbol);
+                transitions[key] = {
+                    key,
+                    state: state.getNumber(),
+                    symbol,
+                    target: stateTransitions[symbol],
+                };
+            }
+        });
+
+        return transitions;
+    }
+
+    /**
+     * DR(p, A): terminal transitions of goto(p, A), and `$` if it's
+     * the final state (`S' -> S •`).
+     */
+    _directlyReads(transition) {
+        let set = {};
+        let target = transition.target;
+
+        for (let symbol in target.getTransitions()) {
+            if (isTerminal(symbol)) {
+                set[unquote(symbol)] = true;
+            }
+        }
+
+        let augmented = this._grammar.getAugmentedProduction();
+
+        if (target.getItems().some(item =>
+            item.isFinal() && item.getProduction() === augmented)) {
+            set[EOF] = true;
+        }
+
+        return set;
+    }
+
+    /**
+     * (p, A) reads (r, C): r = goto(p, A), and C is nullable.
+     */
+    _reads(transition, transitions) {
+        let target = transition.target;
+        let reads = [];
+
+        for (let symbol in target.getTransitions()) {
+            if (!isTerminal(symbol) && this._nullable[symbol]) {
+                reads.push(transitions[transitionKey(target.getNumber(), symbol)]);
+            }
+        }
+
+        return reads;
+    }
+
+    /**
+     * Builds the includes relation: {key of (p, A): [(p', B), ...]}, and
+     * the lookback one: [{state: q, production, transition: (p, A)}].
+     */
+    _buildIncludesAndLookback(transitions) {
+        let includes = {};
+        this._lookback = [];
+
+        for (let key in transitions) {
+            includes[key] = [];
+        }
+
+        for (let key in transitions) {
+            let from = transitions[key];
+            let productions = this._grammar.getProductionsForSymbol(from.symbol);
+
+            for (let number in productions) {
+                let RHS = productions[number].getRHS().filter(symbol => !symbol.isEpsilon());
+                let state = this._collection.getState(from.state);
+
+                RHS.forEach((symbol, index) => {
+                    let name = symbol.getSymbol();
+
+                    // B -> β A γ, where γ is nullable: (p, A) includes (p', B).
+                    if (symbol.isNonTerminal() &&
+                        RHS.slice(index + 1).every(rest => this._nullable[rest.getSymbol()])) {
+                        includes[transitionKey(state.getNumber(), name)].push(from);
+                    }
+
+                    state = state.getTransitionOnSymbol(name);
+                });
+
+                // p' goes to q by the whole RHS.
+                this._lookback.push({
+                    state: state.getNumber(),
+                    production: Number(number),
+                    transition: from,
+                });
+            }
+        }
+
+        return includes;
+    }
+}
+
+function transitionKey(state, symbol) {
+    return `${state} ${symbol}`;
+}
+
+function isTerminal(symbol) {
+    return new GrammarSymbol(symbol).isTerminal();
+}
+
+/**
+ * The digraph algorithm (DeRemer and Pennello): for each node x computes
+ *
+ *   F(x) = initial(x) ∪ ∪{F(y) | x R y}
+ *
+ * Nodes in a cycle of R (a strongly connected component) get the same set.
+ * The sets are objects {terminal: true}.
+ */
+function digraph(nodes, relation, initial) {
+    let F = {};
+    let N = {};
+    let stack = [];
+
+    let traverse = x => {
+        stack.push(x);
+        let depth = stack.length;
+        N[x.key] = depth;
+        F[x.key] = Object.assign({}, initial(x));
+
+        relation(x).forEach(y => {
+            if (!N[y.key]) {
+                traverse(y);
+            }
+            N[x.key] = Math.min(N[x.key], N[y.key]);
+            Object.assign(F[x.key], F[y.key]);
+        });
+
+        if (N[x.key] === depth) {
+            let top;
+            do {
+                top = stack.pop();
+                N[top.key] = Infinity;
+                F[top.key] = F[x.key];
+            } while (top !== x);
+        }
+    };
+
+    for (let key in nodes) {
+        if (!N[key]) {
+            traverse(nodes[key]);
+        }
+    }
+
+    return F;
+}
+
+module.exports = {
+    LALRParsingTable,
+};
+
+// Testing (runs when the file is executed directly: `node LALRParsingTable.js`)
+
+if (require.main === module) {
+    const assert = require('assert');
+    const {Grammar} = require('./LR(0)item.js');
+    const {SLRParsingTable, printTable} = require('./LRParsingTable.js');
+
+    // The assignment grammar: a conflict in SLR(1), but not in LALR(1).
+
+    const assignment = new Grammar(`
+      S -> L "=" R | R
+      L -> "*" R | "id"
+      R -> L
+    `);
+
+    const slr = new SLRParsingTable({grammar: assignment});
+    const lalr = new LALRParsingTable({grammar: assignment});
+
+    console.log('SLR(1) conflicts:', slr.getConflicts().length);
+    console.log('LALR(1) conflicts:', lalr.getConflicts().length);
+
+    printTable(lalr);
+
+    // Output:
+
+    // SLR(1) conflicts: 1
+    // LALR(1) conflicts: 0
+    // +------------------------------------+
+    // |    | =   *   id  $   | S   L   R   |
+    // +------------------------------------+
+    // | 0  |     s4  s5      | 1   2   3   |
+    // | 1  |             acc |             |
+    // | 2  | s6          r5  |             |
+    // | 3  |             r2  |             |
+    // | 4  |     s4  s5      |     8   7   |
+    // | 5  | r4          r4  |             |
+    // | 6  |     s4  s5      |     8   9   |
+    // | 7  | r3          r3  |             |
+    // | 8  | r5          r5  |             |
+    // | 9  |             r1  |             |
+    // +------------------------------------+
+
+    // With a nullable symbol after `V` ("=" follows `V` through `Bang`,
+    // which is the reads relation).
+
+    const nullable = new Grammar(`
+      A -> V Bang "=" E | E
+      Bang -> "!" | ε
+      V -> "*" E | "id"
+      E -> V
+    `);
+
+    new SLRParsingTable({grammar: nullable}).getConflicts()
+        .forEach(conflict => console.log(conflict.message));
+
+    console.log('LALR(1) conflicts:',
+        new LALRParsingTable({grammar: nullable}).getConflicts().length);
+
+    // Output:
+
+    // Shift/reduce conflict in state 2 on "!": shift to state 7 (Bang -> • "!"), or reduce by production 7 (E -> V •)
+    // Reduce/reduce conflict in state 2 on "=": reduce by production 4 (Bang -> •), or reduce by production 7 (E -> V •)
+    // LALR(1) conflicts: 0
+
+    // The same tables for an SLR(1) grammar.
+
+    const calculator = new Grammar(`
+      E -> E "+" T | T
+      T -> T "*" F | F
+      F -> "(" E ")" | "id"
+    `);
+
+    assert.deepEqual(
+        new LALRParsingTable({grammar: calculator}).getActionTable(),
+        new SLRParsingTable({grammar: calculator}).getActionTable()
+    );
+}
@@ -47,7 +47,7 @@
  * Grammar:
  *
  *   1. S -> F
- *   2. S -> (S + F)
+ *   2. S -> ( S + F )
  *   3. F -> a
  *
  * Input:
@@ -73,118 +73,792 @@
  */
 
 
+const {
+    buildFirstSets,
+    buildFollowSets,
+    getLHS,
+    getRHS,
+} = require('./first and follow.js');
+
+const {LL1ConflictError, buildParsingTable, toArraySets} = require('./ParserTable.js');
+const {transformForLL1} = require('./GrammarTransforms.js');
+const {Grammar} = require('./LR(0)item.js');
+const {ebnfValue, restoreTree} = require('./EBNF.js');
+const {Lexer, TokenStream, lexerDiagnostic} = require('./Lexer.js');
+
 /**
- * Our grammar representation. Key is a production number from
- * the grammar, the value is: 0 - LHS, 1 - RHS of the production.
+ * Our grammar representation (the same one used by the First/Follow sets
+ * and the parsing table builders). Key is a production number from
+ * the grammar, the value is the production itself.
  */
 var grammar = {
-    1: ['S', 'F'],       // 1. S -> F
-    2: ['S', '(S + F)'], // 2. S -> (S + F)
-    3: ['F', 'a'],       // 3. F -> a
+    1: 'S -> F',
+    2: 'S -> ( S + F )',
+    3: 'F -> a',
 };
 
+function parse(source) {
+    return createLL1Parser(grammar, 'S').parse(source);
+}
+
 /**
- * Initial stack: bottom is the "end of the stack" ($),
- * and the start symbol ('S' in our case) is there too.
+ * The whole pipeline in one call: grammar text in, parser out.
+ *
+ * The grammar text has one production per line (alternatives of the same
+ * non-terminal can be separated with `|`), the productions are numbered
+ * in order starting from 1:
+ *
+ *   createLL1Parser(`
+ *     S -> F
+ *     S -> ( S + F )
+ *     F -> a
+ *   `, 'S').parse('(a + a)');
+ *
+ * An already numbered grammar object ({1: 'S -> F', ...}) is accepted
+ * as well. If the start symbol is omitted, the LHS of the first
+ * production is used. A start symbol without productions is an error.
+ *
+ * The parsing table, where table[non-terminal][terminal] coordinates
+ * determine which next production rule to apply, is built automatically
+ * from the First and Follow sets of the grammar (see "first and follow.js"
+ * and "ParserTable.js"):
+ *
+ * +------------------+
+ * |    (  )  a  +  $ |
+ * +------------------+
+ * | S  2  -  1  -  - |
+ * | F  -  -  3  -  - |
+ * +------------------+
+ *
+ * A `Grammar` instance (see "LR(0)item.js") is accepted too, so the
+ * grammar can use EBNF: `Args -> "(" (Expr ("," Expr)*)? ")"`. The parse
+ * trees, and the conflict errors then refer to the EBNF notation instead
+ * of the helper non-terminals, see "EBNF.js".
+ *
+ * With the `transform: true` option a left-recursive grammar is accepted
+ * as well: left recursion is eliminated, and common prefixes are factored
+ * out (see "GrammarTransforms.js"). The parser then works with the new
+ * grammar (the production numbers, and the actions refer to it), and
+ * `getOrigins()` maps its productions to the original ones:
+ *
+ *   createLL1Parser(`
+ *     E -> E + T | T
+ *     T -> a
+ *   `, 'E', {transform: true});
+ *
+ * Semantic actions, the error recovery mode, and a custom lexer are passed
+ * in the options, see `LLParser`.
+ *
+ * Throws `LL1ConflictError` (see "ParserTable.js") if the grammar is not LL(1).
  */
-var stack = ['S', '$'];
+function createLL1Parser(
+    grammarText,
+    startSymbol,
+    {actions, recover, lexer, transform} = {}
+) {
+    var grammar = typeof grammarText === 'string'
+        ? parseGrammar(grammarText)
+        : grammarText;
 
-function parse(source) {
-    return parseFromTable(source, buildTable(grammar, source));
+    var helpers = null;
+
+    if (grammarText instanceof Grammar) {
+        startSymbol = startSymbol || grammarText.getStartSymbol();
+        helpers = grammarText.getHelpers();
+        grammar = grammarText.toNumberedGrammar();
+    }
+
+    var origins = null;
+
+    if (transform) {
+        var transformed = transformForLL1(grammar);
+        grammar = transformed.grammar;
+        origins = transformed.origins;
+    }
+
+    startSymbol = startSymbol || getLHS(grammar[Object.keys(grammar)[0]]);
+
+    var isDefined = Object.keys(grammar).some(function(k) {
+        return getLHS(grammar[k]) === startSymbol;
+    });
+
+    if (!isDefined) {
+        throw Error('Unknown start symbol: ' + startSymbol + ' (it has no productions)');
+    }
+
+    var firstSets = buildFirstSets(grammar);
+    var followSets = toArraySets(
+        buildFollowSets(grammar, startSymbol, firstSets)
+    );
+
+    var table;
+
+    try {
+        table = buildParsingTable(grammar, toArraySets(firstSets), followSets);
+    } catch (error) {
+        if (!(error instanceof LL1ConflictError) || !helpers) {
+            throw error;
+        }
+        throw new LL1ConflictError(error.conflicts.map(function(conflict) {
+            return Object.assign({}, conflict, {
+                nonTerminal: grammarText.getNotation(conflict.nonTerminal),
+            });
+        }), error.table);
+    }
+
+    return new LLParser({
+        grammar: grammar,
+        table: table,
+        startSymbol: startSymbol,
+        followSets: followSets,
+        actions: actions,
+        recover: recover,
+        lexer: lexer,
+        origins: origins,
+        helpers: helpers,
+    });
+}
+
+/**
+ * Converts grammar text into the numbered grammar object,
+ * `E -> E + T | T` becomes two productions.
+ */
+function parseGrammar(grammarText) {
+    var grammar = {};
+    var number = 1;
+    grammarText
+        .split('\n')
+        .filter(function(line) { return !!line.trim(); })
+        .forEach(function(line) {
+            if (line.indexOf('->') === -1) {
+                throw Error('Invalid production, missing "->": ' + line.trim());
+            }
+            var LHS = getLHS(line);
+            line.slice(line.indexOf('->') + 2).split(/\s\|(?:\s|$)/).forEach(function(RHS) {
+                grammar[number++] = (LHS + ' -> ' + RHS.trim()).trim();
+            });
+        });
+    return grammar;
 }
 
 function printGrammar(grammar) {
     console.log('Grammar:\n');
     for (var k in grammar) {
-        console.log('  ' + k + '.', grammar[k][0], '->', grammar[k][1]);
+        console.log('  ' + k + '.', grammar[k]);
     }
     console.log('');
 }
 
 /**
- * Builds a state-machine table where table[non-terminal][terminal]
- * coordinates determine which next production rule to apply.
+ * The table-driven LL parser. Each instance keeps its own stack and
+ * input buffer, so the same parser can be reused for any number of sources.
+ *
+ * Semantic actions are optional, and are keyed by the production number.
+ * An action receives values of the RHS symbols (a terminal's value is the
+ * matched text), and returns the value of the LHS. Without an action the value
+ * of the first RHS symbol is used (as `$$ = $1` in Yacc):
+ *
+ *   actions: {
+ *     2: (lp, S, plus, F) => ['+', S, F], // 2. S -> ( S + F )
+ *   }
+ *
+ * In the AST format used by the "AST.js" printer, ['+', 1, 2].
+ *
+ * By default the parser throws on the first parse error. In the recovery
+ * mode (`recover: true`) it uses panic-mode error recovery, where the Follow
+ * sets of the non-terminals are the synchronizing sets:
+ *
+ *   - if a terminal on the stack doesn't match the current token, the
+ *     terminal is popped (as if it was inserted to the input);
+ *
+ *   - if there is no production for a non-terminal and the current token,
+ *     the input tokens are skipped until a token which either starts the
+ *     non-terminal (then parsing continues as usual), or follows it (then
+ *     the non-terminal is popped).
+ *
+ * Every error is recorded in the `diagnostics` of the result, and parsing
+ * continues. The lexer errors are recorded as well (with the unexpected
+ * character as `found`), and the character is skipped. Semantic actions
+ * are not run if there were errors.
+ *
+ * The source is read through the token stream (see "Lexer.js"). By default
+ * the lexer matches the terminals of the grammar literally, a custom one is
+ * needed for token classes, e.g. `{type: 'NUMBER', pattern: /\d+/}` for the
+ * `NUMBER` terminal.
  */
-function buildTable(grammar, source) {
-    // For now we assume a correct table was already built from
-    // the grammar and source for us. We'll cover how to build it
-    // automatically in the next lessons (see "first" and "follow"
-    // sets topic). We encode only valid rules here and skip all other
-    // (they return `undefined` meaning a parse error).
-    //
-    // +------------------+
-    // |    (  )  a  +  $ |
-    // +------------------+
-    // | S  2  -  1  -  - |
-    // | F  -  -  3  -  - |
-    // +------------------+
-    //
-    return {
-        'S': {'(': 2, 'a': 1},
-        'F': {'a': 3}
-    };
-}
+class LLParser {
+    constructor({
+        grammar,
+        table,
+        startSymbol,
+        followSets = {},
+        actions = null,
+        recover = false,
+        lexer = null,
+        origins = null,
+        helpers = null,
+    }) {
+        this._grammar = grammar;
+        this._table = table;
+        this._startSymbol = startSymbol;
+        this._followSets = followSets;
+        this._actions = actions;
+        this._recover = recover;
+        this._origins = origins;
+        this._helpers = helpers;
 
-var productionNumbers = [];
+        // Terminals are the symbols which have no row in the table.
+        this._terminals = {};
+        for (let k in grammar) {
+            getRHS(grammar[k]).forEach(symbol => {
+                if (this._isTerminal(symbol)) {
+                    this._terminals[symbol] = true;
+                }
+            });
+        }
 
-/**
- * Parses a source using parse table.
- * Doesn't build a parse tree yet, but just checks a source
- * string for acceptance (prints production rules appled in case
- * of successful parse, or throws on parse errors).
- */
-function parseFromTable(source, table) {
-    printGrammar(grammar);
-    console.log('Source:', source);
-    source = source.replace(/\s+/g, '');
-    for (var cursor = 0; cursor < source.length;) {
-        var current = source[cursor];
-        var top = stack.shift();
-        // Terminal is on the stack, just advance.
-        if (isTerminal(top, table) && top === current) {
-            // We already shifted the symbol from the stack,
-            // so just advance the cursor.
-            cursor++;
-            continue;
+        this._lexer = lexer || Lexer.fromLiterals(Object.keys(this._terminals));
+    }
+
+    getGrammar() {
+        return this._grammar;
+    }
+
+    getTable() {
+        return this._table;
+    }
+
+    getStartSymbol() {
+        return this._startSymbol;
+    }
+
+    /**
+     * For a transformed grammar: {production number: [numbers of the
+     * original productions]}, null otherwise.
+     */
+    getOrigins() {
+        return this._origins;
+    }
+
+    /**
+     * Parses a source using parse table, returning the result of the parse:
+     *
+     *   {
+     *     accepted: true,
+     *     productions: [2, 1, 3, 3],
+     *     tree: {symbol: 'S', production: 2, children: [...]},
+     *     value: <result of the semantic actions, if any>,
+     *     diagnostics: [],
+     *   }
+     *
+     * The stack holds nodes of the parse tree: a derivation attaches
+     * children to the node on top, and pushes them onto the stack.
+     *
+     * Throws on parse errors, unless in the recovery mode.
+     */
+    parse(source) {
+        this._init(source);
+
+        while (true) {
+            let top = this._stack[0];
+            let current = this._tokens.peek();
+
+            // The stack is drained to the bottom marker, and the
+            // input is consumed up to the end marker: accept.
+            if (top.symbol === '$' && current.type === '$') {
+                break;
+            }
+
+            // Extra input after the whole start symbol is parsed,
+            // the rest of the input is skipped.
+            if (top.symbol === '$') {
+                this._error(current, ['$']);
+                this._tokens.toArray();
+                continue;
+            }
+
+            // Terminal is on the stack, it should match the current token.
+            if (this._isTerminal(top.symbol)) {
+                if (top.symbol === current.type) {
+                    top.token = this._tokens.next();
+                } else {
+                    // Recovery: the missing terminal is "inserted".
+                    this._error(current, [top.symbol]);
+                    top.missing = true;
+                }
+                this._stack.shift();
+                continue;
+            }
+
+            // Else, it's a non-terminal, do derivation (replace it
+            // in the stack with corresponding production). Note, `$` is
+            // a regular lookahead here, so trailing ε-productions are
+            // expanded at the end of the input as well.
+            if (!this._getEntry(top.symbol, current.type)) {
+                this._error(current, Object.keys(this._table[top.symbol]));
+
+                // Recovery: the non-terminal cannot be continued, pop it.
+                if (!this._synchronize(top.symbol)) {
+                    top.missing = true;
+                    this._stack.shift();
+                }
+                continue;
+            }
+
+            top.production = this._getProductionNumber(top.symbol, current);
+            top.children = this._getRHS(top.production).map(
+                symbol => ({symbol})
+            );
+
+            this._stack.shift();
+            this._stack.unshift(...top.children);
         }
-        // Else, it's a non-terminal, do derivation (replace it
-        // in the stack with corresponding production).
-        stack.unshift.apply(stack, getProduction(table, top, current));
+
+        let accepted = this._diagnostics.length === 0;
+
+        // EBNF helpers are shown in the original notation.
+        let tree = this._helpers
+            ? restoreTree(this._tree, this._helpers)
+            : this._tree;
+
+        return {
+            accepted,
+            productions: this._productionNumbers,
+            tree,
+            value: this._actions && accepted
+                ? this._evaluate(tree)
+                : undefined,
+            diagnostics: this._diagnostics,
+        };
     }
-    console.log('Accepted. Productions:', productionNumbers.join(', '), '\n');
-}
 
-function isTerminal(symbol, table) {
-    return !table.hasOwnProperty(symbol);
-}
+    /**
+     * Skips input tokens until a token from the First set of the
+     * non-terminal (returns true: the non-terminal can be derived),
+     * or from its Follow set, the synchronizing set (returns false).
+     */
+    _synchronize(nonTerminal) {
+        let followSet = this._followSets[nonTerminal] || [];
+
+        while (true) {
+            let current = this._tokens.peek();
+
+            if (this._getEntry(nonTerminal, current.type)) {
+                return true;
+            }
+
+            if (current.type === '$' || followSet.indexOf(current.type) !== -1) {
+                return false;
+            }
+
+            this._tokens.next();
+        }
+    }
+
+    /**
+     * Initial stack: bottom is the "end of the stack" ($),
+     * and the start symbol (the root of the parse tree) is there too.
+     * The input buffer also ends with the `$`.
+     */
+    _init(source) {
+        this._tree = {symbol: this._startSymbol};
+        this._stack = [this._tree, {symbol: '$'}];
+        this._productionNumbers = [];
+        this._diagnostics = [];
+        this._tokens = this._tokenize(source);
+    }
+
+    /**
+     * Runs semantic actions bottom-up over the parse tree.
+     */
+    _evaluate(node) {
+        if (!node.children) {
+            return node.token.value;
+        }
+
+        let values = node.children.map(child => this._evaluate(child));
+
+        if (node.ebnf) {
+            return ebnfValue(node.ebnf, values);
+        }
+
+        let action = this._actions[node.production];
+
+        return action ? action(...values) : values[0];
+    }
+
+    /**
+     * The source is either a string, which is tokenized by the lexer,
+     * a `TokenStream`, or an array of tokens (where a token is `{type, value}`,
+     * or just a string which is both, type and value).
+     */
+    _tokenize(source) {
+        if (source instanceof TokenStream) {
+            return source;
+        }
+
+        if (Array.isArray(source)) {
+            return new TokenStream({tokens: source});
+        }
+
+        // In the recovery mode the lexer errors are the diagnostics too,
+        // and the unexpected characters are skipped.
+        return this._lexer.tokenize(source, this._recover
+            ? {onError: error => this._diagnostics.push(lexerDiagnostic(error))}
+            : {});
+    }
+
+    /**
+     * The production number in the table cell, or undefined. Token types
+     * like `toString` are not looked up in `Object.prototype`.
+     */
+    _getEntry(nonTerminal, type) {
+        let row = this._table[nonTerminal];
+        return Object.prototype.hasOwnProperty.call(row, type) ? row[type] : undefined;
+    }
+
+    _isTerminal(symbol) {
+        return !this._table.hasOwnProperty(symbol);
+    }
 
-function getProduction(table, top, current) {
-    var nextProductionNumber = table[top][current];
+    _getProductionNumber(top, current) {
+        let nextProductionNumber = this._getEntry(top, current.type);
+
+        this._productionNumbers.push(nextProductionNumber);
+
+        return nextProductionNumber;
+    }
 
-    if (!nextProductionNumber) {
-        throw Error('Parse error, unexpected token: ' + current);
+    /**
+     * Returns an array of symbols from a production, e.g.
+     * '(', 'S', '+', 'F', ')' for '( S + F )', since each symbol
+     * should be pushed onto the stack (ε-production doesn't push anything).
+     */
+    _getRHS(productionNumber) {
+        return getRHS(this._grammar[productionNumber]);
     }
 
-    var nextProduction = grammar[nextProductionNumber];
+    /**
+     * Throws a parse error, or, in the recovery mode, records
+     * the diagnostic:
+     *
+     *   {
+     *     message: 'Parse error, unexpected token: ) at 1:4',
+     *     position: 3,
+     *     line: 1,
+     *     column: 4,
+     *     found: ')',
+     *     expected: ['a', '('],
+     *   }
+     *
+     * Tokens passed as an array have no lines, only their index
+     * as the position.
+     */
+    _error(token, expected) {
+        let location = token.line
+            ? `${token.line}:${token.column}`
+            : `position ${token.offset}`;
 
-    productionNumbers.push(nextProductionNumber);
+        let message = token.type === '$'
+            ? 'Parse error, unexpected end of input'
+            : `Parse error, unexpected token: ${token.type} at ${location}`;
 
-    // Return an array of symbols from a production, e.g.
-    // '(', 'S', '+', 'F', ')' for '(S + F)', since
-    // each symbol should be pushed onto the stack.
-    return nextProduction[1].split(/\s*/);
+        if (!this._recover) {
+            throw Error(message);
+        }
+
+        this._diagnostics.push({
+            message,
+            position: token.offset,
+            line: token.line,
+            column: token.column,
+            found: token.type,
+            expected,
+        });
+    }
 }
 
-// Test:
-parse('(a + a)');
+module.exports = {
+    LLParser,
+    createLL1Parser,
+    parse,
+};
+
+// Test (runs when the file is executed directly: `node "LL(1)parser.js"`):
+
+if (require.main === module) {
+    const assert = require('assert');
+
+    printGrammar(grammar);
+    console.log('Source: (a + a)');
+    console.log('Accepted. Productions:', parse('(a + a)').productions.join(', '));
+
+    // Output:
+
+    // Grammar:
+    //
+    //   1. S -> F
+    //   2. S -> ( S + F )
+    //   3. F -> a
+    //
+    // Source: (a + a)
+    // Accepted. Productions: 2, 1, 3, 3
+
+    // The "calculator" grammar, built from the grammar text. The same
+    // parser instance is reused, and trailing ε-productions (3 and 6)
+    // are applied at the end of the input.
+
+    const calculator = createLL1Parser(`
+        E -> T X
+        X -> + T X
+        X -> ε
+        T -> F Y
+        Y -> * F Y
+        Y -> ε
+        F -> a
+        F -> ( E )
+    `, 'E');
+
+    console.log(calculator.parse('a').productions.join(', '));
+    console.log(calculator.parse('(a + a) * a').productions.join(', '));
+
+    // Output:
+
+    // 1, 4, 7, 6, 3
+    // 1, 4, 8, 1, 4, 7, 6, 2, 4, 7, 6, 3, 5, 7, 6, 3
+
+    try {
+        calculator.parse('a +');
+    } catch (e) {
+        console.log(e.message);
+    }
+
+    // Output:
+
+    // Parse error, unexpected end of input
+
+    try {
+        createLL1Parser(calculator.getGrammar(), 'Expr');
+    } catch (e) {
+        console.log(e.message);
+    }
+
+    // Output:
+
+    // Unknown start symbol: Expr (it has no productions)
+
+    // Semantic actions build an AST for the "AST.js" printer. Since the
+    // grammar is right-recursive, `X` and `Y` return a function which
+    // receives the left operand, to keep the operators left-associative.
+
+    const {compile} = require('./AST.js');
+
+    const calculatorAST = createLL1Parser(calculator.getGrammar(), 'E', {
+        actions: {
+            1: (T, X) => X(T),                             // E -> T X
+            2: (op, T, X) => left => X([op, left, T]),     // X -> + T X
+            3: () => left => left,                           // X -> ε
+            4: (F, Y) => Y(F),                             // T -> F Y
+            5: (op, F, Y) => left => Y([op, left, F]),     // Y -> * F Y
+            6: () => left => left,                           // Y -> ε
+            7: a => a,                                       // F -> a
+            8: (lp, E) => E,                               // F -> ( E )
+        },
+    });
+
+    let result = calculatorAST.parse('(a + a) * a + a');
+
+    console.log(JSON.stringify(result.value));
+    compile(result.value);
+
+    // Output:
+
+    // ["+",["*",["+","a","a"],"a"],"a"]
+    // (a + a) * a + a
+
+    // The parse tree:
+
+    console.log(JSON.stringify(calculator.parse('a').tree));
 
-// Output:
+    // Output:
 
-// Grammar:
-//
-//   1. S -> F
-//   2. S -> (S + F)
-//   3. F -> a
-//
-// Source: (a + a)
-// Accepted. Productions: 2, 1, 3, 3
\ No newline at end of file
+    // {"symbol":"E","production":1,"children":[
+    //   {"symbol":"T","production":4,"children":[
+    //     {"symbol":"F","production":7,"children":[
+    //       {"symbol":"a","token":{"type":"a","value":"a","line":1,"column":1,"offset":0}}]},
+    //     {"symbol":"Y","production":6,"children":[]}]},
+    //   {"symbol":"X","production":3,"children":[]}]}
+
+    // Recovery mode: all errors are reported.
+
+    const recovering = createLL1Parser(calculator.getGrammar(), 'E', {
+        recover: true,
+    });
+
+    recovering.parse('(a + ) * a a + (a').diagnostics.forEach(diagnostic => {
+        console.log(diagnostic.message, '-- expected:', diagnostic.expected);
+    });
+
+    // Output:
+
+    // Parse error, unexpected token: ) at 1:6 -- expected: [ 'a', '(' ]
+    // Parse error, unexpected token: a at 1:12 -- expected: [ '*', '+', '$', ')' ]
+    // Parse error, unexpected end of input -- expected: [ ')' ]
+
+    // Unexpected characters are skipped.
+
+    const lexerErrors = recovering.parse('a ? a');
+
+    assert.equal(lexerErrors.accepted, false);
+    assert.deepEqual(lexerErrors.diagnostics.map(diagnostic => diagnostic.message), [
+        'Unexpected character "?" at 1:3',
+        'Parse error, unexpected token: a at 1:5',
+    ]);
+    assert.deepEqual(recovering.parse('a + ?a').diagnostics.map(diagnostic => diagnostic.found), ['?']);
+
+    // Multi-character tokens. Terminals can be words, operators or
+    // numbers, and non-terminals -- any names which have productions.
+
+    const statements = createLL1Parser(`
+        Stmt -> if Cond then Stmt
+        Stmt -> print Expr
+        Cond -> Expr == Expr
+        Expr -> 1
+        Expr -> 123
+    `);
+
+    console.log(
+        statements.parse('if 123 == 1 then print 123').productions.join(', ')
+    );
+
+    // The same from a token stream:
+
+    console.log(
+        statements.parse(['print', {type: '123', value: 123}]).productions.join(', ')
+    );
+
+    // Output:
+
+    // 1, 3, 5, 4, 2, 5
+    // 2, 5
+
+    // A custom lexer for token classes.
+
+    const numbers = createLL1Parser(`
+        List -> NUMBER Rest
+        Rest -> , NUMBER Rest
+        Rest -> ε
+    `, 'List', {
+        lexer: new Lexer([
+            {type: 'NUMBER', pattern: /\d+/},
+            {type: ',', pattern: ','},
+        ]),
+        actions: {
+            1: (number, rest) => [Number(number)].concat(rest),
+            2: (comma, number, rest) => [Number(number)].concat(rest),
+            3: () => [],
+        },
+    });
+
+    console.log(numbers.parse('1, 22, // comment\n 333').value);
+
+    // Output:
+
+    // [ 1, 22, 333 ]
+
+    // EBNF grammar: the values of `("," NUMBER)*` is an array of the
+    // groups, and of each group -- an array of its values.
+
+    const list = createLL1Parser(new Grammar(`
+        List -> "[" (NUMBER ("," NUMBER)*)? "]"
+    `), null, {
+        lexer: new Lexer([
+            {type: 'NUMBER', pattern: /\d+/},
+            {type: '[', pattern: '['},
+            {type: ']', pattern: ']'},
+            {type: ',', pattern: ','},
+        ]),
+        actions: {
+            1: (lb, items) => items,
+        },
+    });
+
+    console.log(JSON.stringify(list.parse('[1, 2, 3]').value));
+    console.log(JSON.stringify(list.parse('[]').value));
+
+    const printTree = (node, indent = '') => {
+        console.log(indent + (node.token ? node.token.value : node.symbol));
+        (node.children || []).forEach(child => printTree(child, indent + '  '));
+    };
+
+    printTree(list.parse('[1, 2]').tree);
+
+    // Output:
+
+    // ["1",[[",","2"],[",","3"]]]
+    // null
+    // List
+    //   [
+    //   (NUMBER ("," NUMBER)*)?
+    //     (NUMBER ("," NUMBER)*)
+    //       1
+    //       ("," NUMBER)*
+    //         ("," NUMBER)
+    //           ,
+    //           2
+    //   ]
+
+    try {
+        createLL1Parser(new Grammar(`
+            List -> ("a" | "a" "b")*
+        `));
+    } catch (e) {
+        console.log(e.message);
+    }
+
+    // Output:
+
+    // Grammar is not LL(1):
+    //   FIRST/FIRST conflict at [("a" | "a" "b"), a]: productions 4, 5
+
+    // A left-recursive grammar, transformed automatically.
+
+    const leftRecursive = createLL1Parser(`
+        E -> E + T | T
+        T -> T * F | F
+        F -> ( E ) | a
+    `, 'E', {transform: true});
+
+    printGrammar(leftRecursive.getGrammar());
+
+    console.log(leftRecursive.parse('a + a * a').productions.join(', '));
+
+    console.log(
+        leftRecursive.parse('a + a * a').productions
+            .map(number => leftRecursive.getOrigins()[number].join('/') || '-')
+            .join(', ')
+    );
+
+    // Output:
+
+    // Grammar:
+    //
+    //   1. E -> T E'
+    //   2. E' -> + T E'
+    //   3. E' -> ε
+    //   4. T -> F T'
+    //   5. T' -> * F T'
+    //   6. T' -> ε
+    //   7. F -> ( E )
+    //   8. F -> a
+    //
+    // 1, 4, 8, 6, 2, 4, 8, 5, 8, 6, 3
+    // 2, 4, 6, -, 1, 4, 6, 3, 6, -, -
+
+    // Token types which are the names of `Object.prototype` properties.
+
+    const keywords = createLL1Parser('S -> toString constructor', 'S');
+
+    assert.deepEqual(keywords.parse('toString constructor').productions, [1]);
+    assert.throws(() => keywords.parse('toString toString'), /unexpected token: toString at 1:10/);
+}
@@ -10,6 +10,9 @@
  *
  *   https://twitter.com/DmitrySoshnikov/status/665310804200128513/
  *
+ * The same picture for any grammar is given by `CanonicalCollection#toDot()`
+ * (Graphviz, e.g. `dot -Tsvg`), and the plain-text dump by `toText()`.
+ *
  * Definitions:
  *
  *   - Canonical collection of LR-items is a graph consisting
@@ -45,6 +48,20 @@
  */
 const EPSILON = 'ε';
 
+/**
+ * The end of the input marker.
+ */
+const EOF = '$';
+
+const {expandEBNF} = require('./EBNF.js');
+const {
+    ERROR,
+    ERROR_TYPE,
+    parseGrammar,
+    parseProduction,
+    unquote,
+} = require('./GrammarParser.js');
+
 // --------------------------------------------------------------------------
 // 1. GrammarSymbol
 // --------------------------------------------------------------------------
@@ -60,13 +77,15 @@ class GrammarSymbol {
 
     /**
      * Terminals in our grammar are quoted,
-     * "a", " ", "var", etc.
+     * "a", " ", "var", etc. (and the reserved `error`).
      */
     isTerminal() {
         const quoteRe = /'|"/;
 
-        return quoteRe.test(this._symbol[0]) &&
-            quoteRe.test(this._symbol[this._symbol.length - 1]);
+        return this._symbol === ERROR || (
+            quoteRe.test(this._symbol[0]) &&
+            quoteRe.test(this._symbol[this._symbol.length - 1])
+        );
     }
 
     isNonTerminal() {
@@ -97,12 +116,24 @@ class Production {
     /**
      * Receives a raw production in a view of:
      *
-     * LHS -> RHS or a short alternative
-     *      | RHS if the LHS is the same.
+     *   LHS -> RHS
+     *
+     * or an already parsed one (e.g. by the grammar): {LHS: 'A', RHS: ['"a"', 'A']},
+     * optionally with the `%prec` symbol, and the code of the action:
+     * {LHS, RHS, prec: 'UMINUS', action: '$$ = -$2'}.
+     * See "GrammarParser.js" for the syntax of the symbols.
      */
     constructor(production) {
-        this._raw = production;
-        this._normalize();
+        this._raw = typeof production === 'string'
+            ? production
+            : `${production.LHS} -> ${production.RHS.join(' ') || EPSILON}`;
+
+        this._number = null;
+
+        this._normalize(typeof production === 'string'
+            ? parseProduction(production)
+            : production
+        );
     }
 
     getRaw() {
@@ -110,18 +141,14 @@ class Production {
     }
 
     /**
-     * For cases like:
-     *
-     *   A -> aA
-     *      | b
-     *
-     * For the second alternative, grammar will call setLHS('A').
+     * Number of the production in the grammar, 0 is the augmented one.
      */
-    setLHS(LHS) {
-        if (!(LHS instanceof GrammarSymbol)) {
-            LHS = new GrammarSymbol(LHS);
-        }
-        this._LHS = LHS;
+    getNumber() {
+        return this._number;
+    }
+
+    setNumber(number) {
+        this._number = number;
     }
 
     getLHS() {
@@ -132,33 +159,33 @@ class Production {
         return this._RHS;
     }
 
-    _normalize() {
-        let splitter = this._raw.indexOf('->') !== -1 ? '->' : '|';
-        let splitted = this._raw.split(splitter);
-        let LHS = new GrammarSymbol(splitted[0].trim());
-        let rhsStr = splitted[1].trim();
+    /**
+     * The token type given with `%prec`, or null.
+     */
+    getPrecedenceSymbol() {
+        return this._precedenceSymbol;
+    }
 
-        let RHS = [];
+    /**
+     * Code of the semantic action from the grammar text, or null.
+     */
+    getAction() {
+        return this._action;
+    }
+
+    _normalize({LHS, RHS, prec = null, action = null}) {
+        this._LHS = new GrammarSymbol(LHS);
+        this._precedenceSymbol = prec;
+        this._action = action;
 
         // If no RHS provided, assume it's ε. We support
         // both formats, explicit: F -> ε, and implicit: F ->
 
-        if (!rhsStr) {
-            RHS.push(new GrammarSymbol(EPSILON));
-        } else {
-            let rhsProd = rhsStr.split(/\s+/);
-            for (let i = 0; i < rhsProd.length; i++) {
-                if (rhsProd[i] === '"' && rhsProd[i + 1] === '"') {
-                    RHS.push(new GrammarSymbol('" "'));
-                    i++;
-                } else {
-                    RHS.push(new GrammarSymbol(rhsProd[i]));
-                }
-            }
-        }
+        RHS = RHS.filter(symbol => symbol !== EPSILON);
 
-        this._LHS = LHS;
-        this._RHS = RHS;
+        this._RHS = RHS.length
+            ? RHS.map(symbol => new GrammarSymbol(symbol))
+            : [new GrammarSymbol(EPSILON)];
     }
 }
 
@@ -169,6 +196,11 @@ class Production {
 /**
  * Class encapsulates operations with a grammar.
  * Production format: {0: <Production>}.
+ *
+ * The grammar text may use EBNF (`X*`, `X+`, `X?`, groups, and inline
+ * alternatives), which is desugared into helper non-terminals, see "EBNF.js",
+ * declare the precedence of the operators (`%left "+"`, etc.), and have
+ * semantic actions (`{ $$ = ['+', $1, $3] }`), see "GrammarParser.js".
  */
 class Grammar {
     /**
@@ -179,6 +211,8 @@ class Grammar {
     constructor(grammar) {
         this._originalBnf = grammar;
         this._isAugmentedProduction = null;
+        this._helpers = {};
+        this._operators = {};
         this._bnf = this._normalizeBnf(this._originalBnf);
     }
 
@@ -203,6 +237,153 @@ class Grammar {
         return this._bnf[number];
     }
 
+    /**
+     * All productions: {0: <augmented>, 1: <Production>, ...}.
+     */
+    getProductions() {
+        return this._bnf;
+    }
+
+    getStartSymbol() {
+        return this._startSymbol;
+    }
+
+    /**
+     * Non-terminals which have productions (in order of appearance,
+     * the augmented start symbol is not included).
+     */
+    getNonTerminals() {
+        let nonTerminals = [];
+        for (let k in this._bnf) {
+            let LHS = this._bnf[k].getLHS().getSymbol();
+            if (Number(k) !== 0 && nonTerminals.indexOf(LHS) === -1) {
+                nonTerminals.push(LHS);
+            }
+        }
+        return nonTerminals;
+    }
+
+    /**
+     * Terminals used in the productions (in order of appearance).
+     */
+    getTerminals() {
+        let terminals = [];
+        for (let k in this._bnf) {
+            this._bnf[k].getRHS().forEach(symbol => {
+                if (symbol.isTerminal() &&
+                    terminals.indexOf(symbol.getSymbol()) === -1) {
+                    terminals.push(symbol.getSymbol());
+                }
+            });
+        }
+        return terminals;
+    }
+
+    /**
+     * Helper non-terminals created for EBNF: {Args_1: {kind, notation}}.
+     */
+    getHelpers() {
+        return this._helpers;
+    }
+
+    /**
+     * Operators declared with `%left`, `%right`, and `%nonassoc`:
+     * {'+': {level: 1, associativity: 'left'}}, keyed by the token type.
+     */
+    getOperators() {
+        return this._operators;
+    }
+
+    /**
+     * Precedence of a token type: {symbol, level, associativity}, or null.
+     */
+    getPrecedence(tokenType) {
+        return this._operators.hasOwnProperty(tokenType)
+            ? Object.assign({symbol: tokenType}, this._operators[tokenType])
+            : null;
+    }
+
+    /**
+     * Precedence of a production: of its `%prec` symbol, or else
+     * of the last terminal in the RHS (as in Yacc), or null.
+     */
+    getProductionPrecedence(production) {
+        if (production.getPrecedenceSymbol()) {
+            return this.getPrecedence(production.getPrecedenceSymbol());
+        }
+
+        let terminals = production.getRHS().filter(symbol => symbol.isTerminal());
+
+        return terminals.length
+            ? this.getPrecedence(unquote(terminals[terminals.length - 1].getSymbol()))
+            : null;
+    }
+
+    /**
+     * The symbol as it's written in the grammar text: for a helper
+     * non-terminal it's the original EBNF notation, e.g. `("," Expr)*`.
+     */
+    getNotation(symbol) {
+        if (symbol instanceof GrammarSymbol) {
+            symbol = symbol.getSymbol();
+        }
+        return this._helpers.hasOwnProperty(symbol)
+            ? this._helpers[symbol].notation
+            : symbol;
+    }
+
+    /**
+     * The grammar in the format of the First/Follow sets, and the LL(1)
+     * builders ("first and follow.js"): {1: 'E -> E + T', ...}, where the
+     * terminals are unquoted (so they are the token types). Terminals with
+     * whitespace cannot be represented in this format (the symbols are
+     * split by it), and are an error.
+     */
+    toNumberedGrammar() {
+        let grammar = {};
+        for (let k in this._bnf) {
+            if (Number(k) === 0) {
+                continue;
+            }
+            let production = this._bnf[k];
+            let RHS = production.getRHS().map(symbol => {
+                if (!symbol.isTerminal()) {
+                    return symbol.getSymbol();
+                }
+
+                let tokenType = unquote(symbol.getSymbol());
+
+                if (/\s/.test(tokenType)) {
+                    throw new Error(
+                        `Terminal ${symbol.getSymbol()} in production ${k} has whitespace, ` +
+                        `it cannot be in the numbered grammar`
+                    );
+                }
+                return tokenType;
+            });
+            grammar[k] = `${production.getLHS().getSymbol()} -> ${RHS.join(' ')}`;
+        }
+        return grammar;
+    }
+
+    /**
+     * The grammar in the format of the First/Follow sets builders, where
+     * the productions are already parsed: {0: {LHS: "S'", RHS: ['S']},
+     * 1: {LHS: 'S', RHS: ['"a b"', 'S']}, ...}. Unlike `toNumberedGrammar`,
+     * the symbols are as they are written (terminals are quoted), and the
+     * augmented production is included.
+     */
+    toParsedGrammar() {
+        let grammar = {};
+        for (let k in this._bnf) {
+            grammar[k] = {
+                LHS: this._bnf[k].getLHS().getSymbol(),
+                RHS: this._bnf[k].getRHS().map(symbol => symbol.getSymbol()),
+            };
+        }
+        return grammar;
+    }
+
     getAugmentedProduction() {
         // The augmented production which is built during normalization.
         return this._isAugmentedProduction;
@@ -210,29 +391,32 @@ class Grammar {
 
     _normalizeBnf(originalBnf) {
         let normalizedBnf = {};
-        let currentNonTerminal;
 
-        this._toArray(originalBnf).forEach((rawProduction, k) => {
-            let productionNumber = k + 1;
+        let parsed = parseGrammar(this._toText(originalBnf));
 
-            let production = new Production(rawProduction);
+        // EBNF is expanded into plain productions (with explicit LHS,
+        // one alternative each), and productions of the helpers.
+        let {productions, helpers} = expandEBNF(parsed.productions);
 
-            // For a shorthand production that doesn't use explicit LHS,
-            // take it from previous rule.
-            if (!production.getLHS().getSymbol()) {
-                production.setLHS(currentNonTerminal);
-            }
+        this._helpers = helpers;
+        this._operators = parsed.operators;
+
+        productions.forEach((parsedProduction, k) => {
+            let productionNumber = k + 1;
 
-            currentNonTerminal = production.getLHS().getSymbol();
+            let production = new Production(parsedProduction);
+            production.setNumber(productionNumber);
 
             // LHS of the first rule is considered as "Start symbol".
             if (k === 0) {
                 this._startSymbol = production.getLHS().getSymbol();
 
                 // Augmented rule, S' -> S.
-                normalizedBnf[k] = this._isAugmentedProduction = new Production(
-                    `${this._startSymbol}' -> ${this._startSymbol}`
-                );
+                normalizedBnf[k] = this._isAugmentedProduction = new Production({
+                    LHS: `${this._startSymbol}'`,
+                    RHS: [this._startSymbol],
+                });
+                this._isAugmentedProduction.setNumber(0);
             }
 
             normalizedBnf[productionNumber] = production;
@@ -241,14 +425,11 @@ class Grammar {
         return normalizedBnf;
     }
 
-    _toArray(grammar) {
-        if (Array.isArray(grammar)) {
-            return grammar;
-        }
-
-        return grammar
-            .split('\n')
-            .filter(production => !!production.trim());
+    /**
+     * The grammar is either text, or an array of lines.
+     */
+    _toText(grammar) {
+        return Array.isArray(grammar) ? grammar.join('\n') : grammar;
     }
 }
 
@@ -256,31 +437,27 @@ class Grammar {
 // 4. LRItem
 // --------------------------------------------------------------------------
 
-/**
- * Stores all LR-items that are used in closures.
- * This is to reuse the same LR-item that should "goto"
- * the same state from different closures.
- *
- * The key in the registry is the serialized item,
- * the value is an actual item object.
- *
- * E.g. {'A -> a • A': LRItem('A -> a A', 1), ...}
- */
-let LRItemsRegistry = {};
-
 /**
  * An LRItem is built for a production at particular
- * dot position. The kernel item (for the augmented production)
- * builds the canonical collection, recursively applying
- * "closure" and "goto" operations.
+ * dot position. Items are grouped into closures (states),
+ * see the `CanonicalCollection` below.
  */
 class LRItem {
     constructor({production, dotPosition = 0, grammar}) {
         this._production = production;
         this._dotPosition = dotPosition;
         this._grammar = grammar;
-        this._closure = null;
-        this._gotoPointer = null;
+
+        // ε-production has nothing to see: `A -> •`.
+        this._RHS = production.getRHS().filter(symbol => !symbol.isEpsilon());
+    }
+
+    getProduction() {
+        return this._production;
+    }
+
+    getDotPosition() {
+        return this._dotPosition;
     }
 
     /**
@@ -291,81 +468,68 @@ class LRItem {
     }
 
     /**
-     * Whether this item is already connected to a closure.
+     * The symbol at the dot position.
      */
-    isConnected() {
-        return this._gotoPointer !== null;
+    getCurrentSymbol() {
+        return this._RHS[this._dotPosition];
     }
 
     /**
-     * Returns the closure object for this item.
+     * Whether we have seen the whole production.
      */
-    getClosure() {
-        return this._closure;
+    isFinal() {
+        return this._dotPosition === this._RHS.length;
     }
 
     /**
-     * Applies closure operation for this item.
+     * Returns serialized representation of an item. E.g. `A -> • a A`.
      */
-    closure() {
-        if (!this.shouldClosure()) {
-            return;
-        }
-        this._closure = new Closure({
-            kernelItem: this,
-            grammar: this._grammar,
-        });
-        return this._closure;
+    serialize() {
+        return LRItem.keyForItem(this._production, this._dotPosition);
     }
 
     /**
-     * Goto operation from this item. The item can be used in
-     * different closures, but always goes to the same outer closure.
-     *
-     * Initial item (for the augmented production) builds the whole
-     * graph of the canonical collection of LR items.
-     */
-    goto() {
-        if (!this.isFinal() && !this.isConnected()) {
-            this._gotoPointer = new Closure({
-                kernelItem: this.advance(),
-                grammar: this._grammar,
-            });
-
-            // And recursively go to the next closure state if needed.
-            this._gotoPointer.goto();
-        }
-        return this._gotoPointer;
+     * Key of the item in the registry of the items that participate
+     * in closures (see `Closure`), and in the kernels: the production
+     * number, and the dot position, `2:0`. Not the text, since the same
+     * production can be in the grammar twice (a reduce/reduce conflict).
+     */
+    getKey() {
+        return LRItem.keyForPosition(this._production, this._dotPosition);
     }
 
-    /**
-     * The symbol at the dot position.
-     */
-    getCurrentSymbol() {
-        return this._production.getRHS()[this._dotPosition];
+    static keyForPosition(production, dotPosition) {
+        return `${production.getNumber()}:${dotPosition}`;
     }
 
     /**
-     * Whether we have seen the whole production.
+     * The item as it's written in the grammar text, for the messages: the
+     * helper non-terminals of EBNF are in the notation, `D* -> D • D*`
+     * (see `Grammar#getNotation`).
      */
-    isFinal() {
-        return this._dotPosition === this._production.getRHS().length;
+    getNotation() {
+        return LRItem.keyForItem(
+            this._production,
+            this._dotPosition,
+            symbol => this._grammar.getNotation(symbol)
+        );
     }
 
     /**
-     * Returns serialized representation of an item. This is used
-     * as a key in the global registry of all items that participate
-     * in closures. E.g. `A -> • a A`.
+     * The item for JSON: [production number, dot position].
      */
-    serialize() {
-        return LRItem.keyForItem(this._production, this._dotPosition);
+    toJSON() {
+        return [this._production.getNumber(), this._dotPosition];
     }
 
-    static keyForItem(production, dotPosition) {
-        let RHS = production.getRHS().map(symbol => symbol.getSymbol());
+    static keyForItem(production, dotPosition, toString = symbol => symbol.getSymbol()) {
+        let RHS = production.getRHS()
+            .filter(symbol => !symbol.isEpsilon())
+            .map(toString);
+
         RHS.splice(dotPosition, 0, '•');
 
-        return `${production.getLHS().getSymbol()} -> ${RHS.join(' ')}`;
+        return `${toString(production.getLHS())} -> ${RHS.join(' ')}`;
     }
 
     /**
@@ -389,30 +553,99 @@ class LRItem {
 
 /**
  * An abstraction for an items set (kernel plus added),
- * known as a "closure". Recursively closes over
- * all added items, eventually forming an LR-parsing state.
+ * known as a "closure". Closes over all added items,
+ * eventually forming an LR-parsing state.
+ *
+ * A state is identified by its kernel items: the same kernel
+ * always gives the same closure. In the canonical collection
+ * each state has a number, and the goto transitions by symbols.
+ *
+ * Added items are the same for all closures which use the same registry:
+ * {'2:0': <LRItem>} (see `LRItem#getKey`). The registry belongs to the collection (so
+ * the items of different grammars are never mixed), a closure built
+ * on its own has its own one.
+ *
+ * If all the items are given (e.g. loaded from JSON), the closure
+ * is not built again.
  */
 class Closure {
-    constructor({kernelItem, grammar}) {
-        this._kernelItem = this._currentItem = kernelItem;
-        this._items = [kernelItem];
+    constructor({kernelItems, grammar, registry = {}, items = null}) {
+        this._kernelItems = kernelItems;
+        this._items = items || kernelItems.slice();
         this._grammar = grammar;
-        this._build();
+        this._registry = registry;
+        this._number = null;
+        this._transitions = {};
+
+        if (!items) {
+            this._build();
+        }
     }
 
-    getKernel() {
-        return this._kernelItem;
+    getKernelItems() {
+        return this._kernelItems;
     }
 
     getItems() {
         return this._items;
     }
 
+    getNumber() {
+        return this._number;
+    }
+
+    setNumber(number) {
+        this._number = number;
+    }
+
     /**
-     * Executes goto operation for every item.
+     * Goto transitions of the state: {symbol: <Closure>}.
      */
-    goto() {
-        this.getItems().forEach(item => item.goto());
+    getTransitions() {
+        return this._transitions;
+    }
+
+    getTransitionOnSymbol(symbol) {
+        return this._transitions.hasOwnProperty(symbol)
+            ? this._transitions[symbol]
+            : null;
+    }
+
+    setTransition(symbol, closure) {
+        this._transitions[symbol] = closure;
+    }
+
+    /**
+     * Key of the kernel items set, the order of the items doesn't matter.
+     */
+    getKey() {
+        return Closure.keyForKernel(this._kernelItems);
+    }
+
+    static keyForKernel(kernelItems) {
+        return kernelItems
+            .map(item => item.getKey())
+            .sort()
+            .join(' | ');
+    }
+
+    /**
+     * Items to goto by each symbol after the dot (in order of the items):
+     * {symbol: [<LRItem>, ...]}, the items are not advanced yet. The map
+     * has no prototype (for the symbols like `constructor`).
+     */
+    getItemsBySymbol() {
+        let itemsBySymbol = Object.create(null);
+
+        this._items.forEach(item => {
+            if (item.isFinal()) {
+                return;
+            }
+            let symbol = item.getCurrentSymbol().getSymbol();
+            (itemsBySymbol[symbol] || (itemsBySymbol[symbol] = [])).push(item);
+        });
+
+        return itemsBySymbol;
     }
 
     /**
@@ -420,87 +653,550 @@ class Closure {
      * with a non-terminal at the dot position.
      */
     _build() {
-        if (!this._currentItem.shouldClosure()) {
-            return;
-        }
+        let added = {};
 
-        let productionsForSymbol = this._grammar.getProductionsForSymbol(
-            this._currentItem.getCurrentSymbol()
-        );
+        // Every added item is processed once, even if the grammar
+        // is left-recursive (`E -> • E + T` adds items for `E` again).
+        for (let i = 0; i < this._items.length; i++) {
+            let item = this._items[i];
 
-        for (let k in productionsForSymbol) {
-            let production = productionsForSymbol[k];
-
-            let itemKey = LRItem.keyForItem(production, 0);
-            let addedItem;
-
-            // Register the item, or reuse the same one, it
-            // should already be connected to needed closure.
-            if (!LRItemsRegistry.hasOwnProperty(itemKey)) {
-                addedItem = LRItemsRegistry[itemKey] =
-                    // All added items are always at position 0.
-                    new LRItem({
-                        production,
-                        dotPosition: 0,
-                        grammar: this._grammar
-                    });
-            } else {
-                addedItem = LRItemsRegistry[itemKey];
+            if (!item.shouldClosure()) {
+                continue;
             }
 
-            this._items.push(addedItem);
-            this._currentItem = addedItem;
+            let productionsForSymbol = this._grammar.getProductionsForSymbol(
+                item.getCurrentSymbol()
+            );
+
+            for (let k in productionsForSymbol) {
+                let production = productionsForSymbol[k];
+                let itemKey = LRItem.keyForPosition(production, 0);
 
-            // Recursively closure the added item.
+                if (added[itemKey]) {
+                    continue;
+                }
+
+                // Register the item, or reuse the same one.
+                if (!this._registry.hasOwnProperty(itemKey)) {
+                    this._registry[itemKey] =
+                        // All added items are always at position 0.
+                        new LRItem({
+                            production,
+                            dotPosition: 0,
+                            grammar: this._grammar
+                        });
+                }
+
+                added[itemKey] = true;
+                this._items.push(this._registry[itemKey]);
+            }
+        }
+    }
+}
+
+// --------------------------------------------------------------------------
+// 6. CanonicalCollection
+// --------------------------------------------------------------------------
+
+/**
+ * The canonical collection of LR(0) items: the graph of the states
+ * (closures), and goto transitions between them.
+ *
+ * It starts from the closure of the item for the augmented production,
+ * `S' -> • S`. For every symbol after the dot in a state, the items
+ * with this symbol are advanced, and form the kernel of the next state:
+ *
+ *   goto(I, X) = closure({A -> α X • β | A -> α • X β in I})
+ *
+ * So a kernel may have several items. If a state with the same kernel
+ * already exists, it's reused. The states are numbered in the order
+ * they are built (breadth-first), starting from 0.
+ *
+ * The collection of LR(1) items (see "LR(1)item.js") is built the same
+ * way, with its own start item and states.
+ *
+ * A built collection can be saved with `toJSON()`, and loaded back with
+ * `fromJSON(json, grammar)` without building it again.
+ */
+class CanonicalCollection {
+    constructor({grammar, json = null}) {
+        this._grammar = grammar;
+        this._states = [];
+
+        // {kernel key: <Closure>}
+        this._statesByKernel = {};
+
+        // Added items of the closures: {item key: <LRItem>}.
+        this._registry = {};
+
+        if (json) {
+            this._load(json);
+        } else {
             this._build();
         }
     }
+
+    /**
+     * Loads the collection saved with `toJSON()`. The grammar should be
+     * the same one the collection was built for.
+     */
+    static fromJSON(json, grammar) {
+        let type = this.prototype.getType();
+
+        if (json.type !== type) {
+            throw new Error(`Cannot load ${json.type} collection as ${type} one`);
+        }
+
+        return new this({grammar, json});
+    }
+
+    /**
+     * The kind of the items: 'LR(0)', or 'LR(1)'.
+     */
+    getType() {
+        return 'LR(0)';
+    }
+
+    getGrammar() {
+        return this._grammar;
+    }
+
+    /**
+     * All states, the index is the number of a state.
+     */
+    getStates() {
+        return this._states;
+    }
+
+    getState(number) {
+        return this._states[number];
+    }
+
+    getStartState() {
+        return this._states[0];
+    }
+
+    /**
+     * The states for JSON, the items are [production number, dot position]
+     * (and the lookaheads for LR(1)):
+     *
+     *   {
+     *     type: 'LR(0)',
+     *     states: [
+     *       {kernel: [[0, 0]], added: [[1, 0], ...], transitions: {S: 1, ...}},
+     *       ...
+     *     ],
+     *   }
+     */
+    toJSON() {
+        return {
+            type: this.getType(),
+            states: this._states.map(state => {
+                let kernel = state.getKernelItems();
+                let transitions = {};
+
+                for (let symbol in state.getTransitions()) {
+                    transitions[symbol] = state.getTransitionOnSymbol(symbol).getNumber();
+                }
+
+                return {
+                    kernel: kernel.map(item => item.toJSON()),
+                    added: state.getItems()
+                        .filter(item => kernel.indexOf(item) === -1)
+                        .map(item => item.toJSON()),
+                    transitions,
+                };
+            }),
+        };
+    }
+
+    /**
+     * Plain-text dump of the states, with the kernel items marked by `*`,
+     * and the transitions after the items:
+     *
+     *   State 0:
+     *     * S' -> • S
+     *       S -> • A A
+     *       ...
+     *       S -> 1
+     *       A -> 2
+     */
+    toText() {
+        let lines = [];
+
+        this._states.forEach(state => {
+            lines.push(`State ${state.getNumber()}:`);
+
+            state.getItems().forEach(item => {
+                let isKernel = state.getKernelItems().indexOf(item) !== -1;
+                lines.push(`  ${isKernel ? '*' : ' '} ${item.serialize()}`);
+            });
+
+            let transitions = state.getTransitions();
+            for (let symbol in transitions) {
+                lines.push(`    ${symbol} -> ${transitions[symbol].getNumber()}`);
+            }
+        });
+
+        return lines.join('\n');
+    }
+
+    /**
+     * The automaton in the Graphviz DOT format: a node for each state with
+     * its items (kernel items go first, separated by a line), and the goto
+     * edges labelled by the symbols. States with final items have a double
+     * border.
+     */
+    toDot() {
+        let escape = text => text.replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+        let lines = [
+            'digraph LR {',
+            '  rankdir=LR;',
+            '  node [shape=box, fontname="monospace"];',
+        ];
+
+        this._states.forEach(state => {
+            let kernel = state.getKernelItems();
+            let added = state.getItems().filter(item => kernel.indexOf(item) === -1);
+
+            let label = `State ${state.getNumber()}\\n` +
+                kernel.map(item => escape(item.serialize()) + '\\l').join('') +
+                (added.length ? '\\n' + added.map(item => escape(item.serialize()) + '\\l').join('') : '');
+
+            let isFinal = state.getItems().some(item => item.isFinal());
+
+            lines.push(`  ${state.getNumber()} [label="${label}"${isFinal ? ', peripheries=2' : ''}];`);
+        });
+
+        this._states.forEach(state => {
+            let transitions = state.getTransitions();
+            for (let symbol in transitions) {
+                lines.push(
+                    `  ${state.getNumber()} -> ${transitions[symbol].getNumber()} ` +
+                    `[label="${escape(symbol)}"];`
+                );
+            }
+        });
+
+        lines.push('}');
+
+        return lines.join('\n');
+    }
+
+    _build() {
+        this._getOrCreateState([this._createStartItem()]);
+
+        // The list of the states grows while we iterate.
+        for (let i = 0; i < this._states.length; i++) {
+            let state = this._states[i];
+            let itemsBySymbol = state.getItemsBySymbol();
+
+            for (let symbol in itemsBySymbol) {
+                let kernelItems = itemsBySymbol[symbol].map(item => item.advance());
+                state.setTransition(symbol, this._getOrCreateState(kernelItems));
+            }
+        }
+    }
+
+    _load(json) {
+        let items = list => list.map(item => this._createItemFromJSON(item));
+
+        json.states.forEach(data => {
+            let kernelItems = items(data.kernel);
+            let state = this._createState(kernelItems, kernelItems.concat(items(data.added)));
+
+            state.setNumber(this._states.length);
+            this._states.push(state);
+            this._statesByKernel[state.getKey()] = state;
+        });
+
+        json.states.forEach((data, number) => {
+            for (let symbol in data.transitions) {
+                this._states[number].setTransition(symbol, this._states[data.transitions[symbol]]);
+            }
+        });
+    }
+
+    _createItemFromJSON([production, dotPosition]) {
+        let item = new LRItem({
+            production: this._grammar.getProduction(production),
+            dotPosition,
+            grammar: this._grammar,
+        });
+
+        // Added items are shared by the states, as when they are built.
+        if (dotPosition === 0 && production !== 0) {
+            let key = item.getKey();
+            return this._registry[key] || (this._registry[key] = item);
+        }
+
+        return item;
+    }
+
+    _getOrCreateState(kernelItems) {
+        let key = Closure.keyForKernel(kernelItems);
+
+        if (!this._statesByKernel.hasOwnProperty(key)) {
+            let state = this._createState(kernelItems);
+            state.setNumber(this._states.length);
+            this._states.push(state);
+            this._statesByKernel[key] = state;
+        }
+
+        return this._statesByKernel[key];
+    }
+
+    /**
+     * The item of the augmented production: `S' -> • S`.
+     */
+    _createStartItem() {
+        return new LRItem({
+            production: this._grammar.getAugmentedProduction(),
+            grammar: this._grammar,
+        });
+    }
+
+    /**
+     * A state for the kernel items, all the items are given
+     * when the state is loaded.
+     */
+    _createState(kernelItems, items = null) {
+        return new Closure({
+            kernelItems,
+            grammar: this._grammar,
+            registry: this._registry,
+            items,
+        });
+    }
 }
 
+module.exports = {
+    EOF,
+    EPSILON,
+    ERROR,
+    ERROR_TYPE,
+    GrammarSymbol,
+    Production,
+    Grammar,
+    LRItem,
+    Closure,
+    CanonicalCollection,
+};
+
 // --------------------------------------------------------------------------
-// 6. Tests
+// 7. Tests (run when the file is executed directly: `node "LR(0)item.js"`)
 // --------------------------------------------------------------------------
 
-// Example grammar.
-const grammar = new Grammar(`
-  S -> A A
-  A -> "a" A
-     | "b"
-`);
-
-let kernelItem = new LRItem({
-    production: grammar.getAugmentedProduction(),
-    grammar: grammar,
-});
-
-// Build the entire graph starting
-// from the augmented production.
-
-kernelItem
-    .closure()
-    .goto();
-
-// Trace the graph.
-// https://twitter.com/DmitrySoshnikov/status/665310804200128513/
-
-// S' -> S •
-console.log(
-    kernelItem
-        .getClosure()
-        .getKernel()   // S' -> • S
-        .goto()
-        .getKernel()   // S' -> S •
-        .serialize()
-);
-
-// S -> A A •
-console.log(
-    kernelItem
-        .getClosure()
-        .getItems()[1] // S -> • A A
-        .goto()
-        .getKernel()   // S -> A • A
-        .goto()
-        .getKernel()   // S -> A A •
-        .serialize()
-);
\ No newline at end of file
+if (require.main === module) {
+    const assert = require('assert');
+
+    function printCollection(collection) {
+        console.log(collection.toText());
+        console.log('');
+    }
+
+    // Example grammar.
+    // https://twitter.com/DmitrySoshnikov/status/665310804200128513/
+
+    const grammar = new Grammar(`
+      S -> A A
+      A -> "a" A
+         | "b"
+    `);
+
+    const collection = new CanonicalCollection({grammar});
+
+    printCollection(collection);
+
+    // Output (* -- kernel items):
+
+    // State 0:
+    //   * S' -> • S
+    //     S -> • A A
+    //     A -> • "a" A
+    //     A -> • "b"
+    //     S -> 1
+    //     A -> 2
+    //     "a" -> 3
+    //     "b" -> 4
+    // State 1:
+    //   * S' -> S •
+    // State 2:
+    //   * S -> A • A
+    //     A -> • "a" A
+    //     A -> • "b"
+    //     A -> 5
+    //     "a" -> 3
+    //     "b" -> 4
+    // State 3:
+    //   * A -> "a" • A
+    //     A -> • "a" A
+    //     A -> • "b"
+    //     A -> 6
+    //     "a" -> 3
+    //     "b" -> 4
+    // State 4:
+    //   * A -> "b" •
+    // State 5:
+    //   * S -> A A •
+    // State 6:
+    //   * A -> "a" A •
+
+    // Trace the graph: S -> A A •
+    assert.equal(
+        collection
+            .getStartState()
+            .getTransitionOnSymbol('A')
+            .getTransitionOnSymbol('A')
+            .getKernelItems()[0]
+            .serialize(),
+        'S -> A A •'
+    );
+
+    // Left-recursive grammar: goto(0, E) has two kernel items,
+    // and ε-productions.
+
+    printCollection(new CanonicalCollection({grammar: new Grammar(`
+      E -> E "+" T
+         | T
+      T -> "a" | ε
+    `)}));
+
+    // Output:
+
+    // State 0:
+    //   * E' -> • E
+    //     E -> • E "+" T
+    //     E -> • T
+    //     T -> • "a"
+    //     T -> •
+    //     E -> 1
+    //     T -> 2
+    //     "a" -> 3
+    // State 1:
+    //   * E' -> E •
+    //   * E -> E • "+" T
+    //     "+" -> 4
+    // State 2:
+    //   * E -> T •
+    // State 3:
+    //   * T -> "a" •
+    // State 4:
+    //   * E -> E "+" • T
+    //     T -> • "a"
+    //     T -> •
+    //     T -> 5
+    //     "a" -> 3
+    // State 5:
+    //   * E -> E "+" T •
+
+    // Terminals may contain spaces, and the grammar syntax.
+
+    assert.deepEqual(new Grammar(`
+      Arrow -> "a b" "->" Arrow   // comment
+             | "\\"" "|"
+    `).getTerminals(), ['"a b"', '"->"', '"\\""', '"|"']);
+
+    assert.throws(
+        () => new Grammar('S -> "a b" S | "c"').toNumberedGrammar(),
+        /Terminal "a b" in production 1 has whitespace, it cannot be in the numbered grammar/
+    );
+
+    assert.deepEqual(new Grammar('S -> "a" S | "c"').toNumberedGrammar(), {
+        1: 'S -> a S',
+        2: 'S -> c',
+    });
+
+    // The reserved `error` is a terminal.
+
+    assert.deepEqual(new Grammar('S -> error ";"').getTerminals(), ['error', '";"']);
+
+    // Malformed productions are reported with the position.
+
+    assert.throws(
+        () => new Grammar('S -> "a"\n   A "b"'),
+        /Invalid production at 2:6: unexpected "b", expected "->"/
+    );
+
+    // Graphviz (rendered by `dot -Tsvg`).
+
+    console.log(new CanonicalCollection({grammar: new Grammar(`
+      S -> "a" S | "b"
+    `)}).toDot());
+
+    // Output:
+
+    // digraph LR {
+    //   rankdir=LR;
+    //   node [shape=box, fontname="monospace"];
+    //   0 [label="State 0\nS' -> • S\l\nS -> • \"a\" S\lS -> • \"b\"\l"];
+    //   1 [label="State 1\nS' -> S •\l", peripheries=2];
+    //   2 [label="State 2\nS -> \"a\" • S\l\nS -> • \"a\" S\lS -> • \"b\"\l"];
+    //   3 [label="State 3\nS -> \"b\" •\l", peripheries=2];
+    //   4 [label="State 4\nS -> \"a\" S •\l", peripheries=2];
+    //   0 -> 1 [label="S"];
+    //   0 -> 2 [label="\"a\""];
+    //   0 -> 3 [label="\"b\""];
+    //   2 -> 4 [label="S"];
+    //   2 -> 2 [label="\"a\""];
+    //   2 -> 3 [label="\"b\""];
+    // }
+
+    // Items of different grammars are not mixed: `A -> • "b"` is
+    // the production 2 in the first grammar, and 3 in the second one.
+
+    new CanonicalCollection({grammar: new Grammar('S -> A\nA -> "b"')});
+
+    const second = new CanonicalCollection({grammar: new Grammar('S -> A | "c"\nA -> "b"')});
+
+    assert.equal(
+        second.getStartState().getItems()
+            .find(item => item.serialize() === 'A -> • "b"')
+            .getProduction().getNumber(),
+        3
+    );
+
+    // Saved to JSON, and loaded back.
+
+    const json = JSON.parse(JSON.stringify(collection));
+
+    console.log(JSON.stringify(json.states[0]));
+
+    // Output:
+
+    // {"kernel":[[0,0]],"added":[[1,0],[2,0],[3,0]],"transitions":{"S":1,"A":2,"\"a\"":3,"\"b\"":4}}
+
+    const loaded = CanonicalCollection.fromJSON(json, grammar);
+
+    assert.equal(loaded.toText(), collection.toText());
+    assert.equal(loaded.getStartState().getTransitionOnSymbol('A').getNumber(), 2);
+
+    // Symbols which are the names of `Object.prototype` properties.
+
+    const prototypeNames = new CanonicalCollection({grammar: new Grammar(`
+      S -> constructor toString
+      constructor -> "a"
+      toString -> valueOf
+      valueOf -> "b"
+    `)});
+
+    assert.deepEqual(
+        Object.keys(prototypeNames.getStartState().getTransitions()),
+        ['S', 'constructor', '"a"']
+    );
+
+    // The same production twice: two items (they are a reduce/reduce
+    // conflict, see "LRParsingTable.js"), not one.
+
+    const duplicates = new CanonicalCollection({grammar: new Grammar(`
+      S -> A
+      A -> "a"
+      A -> "a"
+    `)});
+
+    assert.deepEqual(
+        duplicates.getStartState().getTransitionOnSymbol('"a"').getKernelItems()
+            .map(item => item.getProduction().getNumber()),
+        [2, 3]
+    );
+}
@@ -0,0 +1,344 @@
+/**
+ * LR-parsing.
+ *
+ * Canonical collection of LR(1) items.
+ *
+ * An LR(1) item is an LR(0) item (see "LR(0)item.js") with a set of
+ * lookaheads: the terminals which can follow the production, when it's
+ * reduced in this state:
+ *
+ *   [A -> α • β, "a" / "b"]
+ *
+ * The item of the augmented production has the end of the input, `$`, as
+ * its lookahead. The closure adds the items for a non-terminal after the dot
+ * with the lookaheads which can follow the non-terminal:
+ *
+ *   [A -> α • B β, L]  adds  [B -> • γ, First(β L)]
+ *
+ * that is, First(β), and also L itself if β can be ε. The items with the same
+ * production and dot position (the same "core") are merged in one item with
+ * all their lookaheads.
+ *
+ * The canonical collection is built as the LR(0) one, but the states are
+ * the same only if their kernel items have the same lookaheads too. So there
+ * can be several states with the same core (LALR(1) merges them back, see
+ * "LALRParsingTable.js"), and for the real-world grammars the LR(1) automaton
+ * is several times bigger than the LR(0) one.
+ *
+ * See "LR1ParsingTable.js" for the canonical LR(1) parsing table.
+ */
+
+const {EOF, LRItem, Closure, CanonicalCollection} = require('./LR(0)item.js');
+const {buildFirstSets, firstOfSequence, EPSILON} = require('./first and follow.js');
+
+/**
+ * First sets of the grammars, which are used by the closures:
+ * {<Grammar>: {symbol: {terminal: true}}}.
+ */
+const firstSetsCache = new WeakMap();
+
+function getFirstSets(grammar) {
+    if (!firstSetsCache.has(grammar)) {
+        firstSetsCache.set(grammar, buildFirstSets(grammar.toParsedGrammar()));
+    }
+    return firstSetsCache.get(grammar);
+}
+
+// --------------------------------------------------------------------------
+// 1. LR1Item
+// --------------------------------------------------------------------------
+
+/**
+ * LR(1) item: the production, the dot position, and the lookaheads, which
+ * are the terminals as they are in the grammar (with quotes), and `$`.
+ */
+class LR1Item extends LRItem {
+    constructor({production, dotPosition = 0, grammar, lookaheads = [EOF]}) {
+        super({production, dotPosition, grammar});
+
+        this._lookaheads = {};
+        this.addLookaheads(lookaheads);
+    }
+
+    /**
+     * The lookaheads in order of the terminals in the grammar, `$` is last.
+     */
+    getLookaheads() {
+        let terminals = this._grammar.getTerminals().concat(EOF);
+
+        return Object.keys(this._lookaheads).sort(
+            (a, b) => terminals.indexOf(a) - terminals.indexOf(b)
+        );
+    }
+
+    /**
+     * Adds the lookaheads, returns whether there were new ones.
+     */
+    addLookaheads(lookaheads) {
+        let added = false;
+
+        lookaheads.forEach(terminal => {
+            if (!this._lookaheads.hasOwnProperty(terminal)) {
+                this._lookaheads[terminal] = true;
+                added = true;
+            }
+        });
+
+        return added;
+    }
+
+    /**
+     * The LR(0) item of this item: `A -> α • β`.
+     */
+    getCore() {
+        return LRItem.keyForItem(this._production, this._dotPosition);
+    }
+
+    /**
+     * `A -> α • β, "a" / "b"`.
+     */
+    serialize() {
+        return `${this.getCore()}, ${this.getLookaheads().join(' / ')}`;
+    }
+
+    /**
+     * With the lookaheads: the kernels with the same items, but different
+     * lookaheads are different states.
+     */
+    getKey() {
+        return `${super.getKey()}, ${this.getLookaheads().join(' / ')}`;
+    }
+
+    /**
+     * As `serialize()`, with the helper non-terminals in the EBNF notation.
+     */
+    getNotation() {
+        return `${super.getNotation()}, ${this.getLookaheads().join(' / ')}`;
+    }
+
+    /**
+     * [production number, dot position, lookaheads].
+     */
+    toJSON() {
+        return super.toJSON().concat([this.getLookaheads()]);
+    }
+
+    /**
+     * Lookaheads of the items added by the closure for the symbol after
+     * the dot: First of the rest of the RHS, and the own lookaheads if the
+     * rest can be ε.
+     */
+    getClosureLookaheads() {
+        let rest = this._RHS
+            .slice(this._dotPosition + 1)
+            .map(symbol => symbol.getSymbol());
+
+        let first = firstOfSequence(rest, getFirstSets(this._grammar));
+        let lookaheads = Object.keys(first).filter(terminal => terminal !== EPSILON);
+
+        return first[EPSILON]
+            ? lookaheads.concat(this.getLookaheads())
+            : lookaheads;
+    }
+
+    advance() {
+        if (this.isFinal()) {
+            throw new Error(`Item for ${this._production.getRaw()} is final.`);
+        }
+        return new LR1Item({
+            production: this._production,
+            dotPosition: this._dotPosition + 1,
+            grammar: this._grammar,
+            lookaheads: this.getLookaheads(),
+        });
+    }
+}
+
+// --------------------------------------------------------------------------
+// 2. LR1Closure
+// --------------------------------------------------------------------------
+
+/**
+ * Closure of the LR(1) items. Added items are created for each closure
+ * (not shared as the LR(0) ones), since their lookaheads depend on it.
+ */
+class LR1Closure extends Closure {
+    _build() {
+        // {key of the LR(0) item: <LR1Item>}
+        let itemsByCore = {};
+        this._items.forEach(item => {
+            itemsByCore[LRItem.keyForPosition(item.getProduction(), item.getDotPosition())] = item;
+        });
+
+        // An item is processed again when it gets new lookaheads, which
+        // should be passed to the items it added.
+        let queue = this._items.slice();
+
+        while (queue.length) {
+            let item = queue.shift();
+
+            if (!item.shouldClosure()) {
+                continue;
+            }
+
+            let lookaheads = item.getClosureLookaheads();
+            let productionsForSymbol = this._grammar.getProductionsForSymbol(
+                item.getCurrentSymbol()
+            );
+
+            for (let k in productionsForSymbol) {
+                let production = productionsForSymbol[k];
+                let core = LRItem.keyForPosition(production, 0);
+                let existing = itemsByCore[core];
+
+                if (!existing) {
+                    let added = new LR1Item({
+                        production,
+                        dotPosition: 0,
+                        grammar: this._grammar,
+                        lookaheads,
+                    });
+
+                    itemsByCore[core] = added;
+                    this._items.push(added);
+                    queue.push(added);
+                } else if (existing.addLookaheads(lookaheads)) {
+                    queue.push(existing);
+                }
+            }
+        }
+    }
+}
+
+// --------------------------------------------------------------------------
+// 3. LR1CanonicalCollection
+// --------------------------------------------------------------------------
+
+/**
+ * The canonical collection of LR(1) items, starts from `[S' -> • S, $]`.
+ */
+class LR1CanonicalCollection extends CanonicalCollection {
+    getType() {
+        return 'LR(1)';
+    }
+
+    _createStartItem() {
+        return new LR1Item({
+            production: this._grammar.getAugmentedProduction(),
+            grammar: this._grammar,
+            lookaheads: [EOF],
+        });
+    }
+
+    _createState(kernelItems, items = null) {
+        return new LR1Closure({kernelItems, grammar: this._grammar, items});
+    }
+
+    _createItemFromJSON([production, dotPosition, lookaheads]) {
+        return new LR1Item({
+            production: this._grammar.getProduction(production),
+            dotPosition,
+            grammar: this._grammar,
+            lookaheads,
+        });
+    }
+}
+
+module.exports = {
+    LR1Item,
+    LR1Closure,
+    LR1CanonicalCollection,
+};
+
+// --------------------------------------------------------------------------
+// 4. Tests (run when the file is executed directly: `node "LR(1)item.js"`)
+// --------------------------------------------------------------------------
+
+if (require.main === module) {
+    const assert = require('assert');
+    const {Grammar} = require('./LR(0)item.js');
+
+    const grammar = new Grammar(`
+      S -> A A
+      A -> "a" A
+         | "b"
+    `);
+
+    const collection = new LR1CanonicalCollection({grammar});
+
+    console.log(collection.toText());
+
+    // Output (* -- kernel items):
+
+    // State 0:
+    //   * S' -> • S, $
+    //     S -> • A A, $
+    //     A -> • "a" A, "a" / "b"
+    //     A -> • "b", "a" / "b"
+    //     S -> 1
+    //     A -> 2
+    //     "a" -> 3
+    //     "b" -> 4
+    // State 1:
+    //   * S' -> S •, $
+    // State 2:
+    //   * S -> A • A, $
+    //     A -> • "a" A, $
+    //     A -> • "b", $
+    //     A -> 5
+    //     "a" -> 6
+    //     "b" -> 7
+    // State 3:
+    //   * A -> "a" • A, "a" / "b"
+    //     A -> • "a" A, "a" / "b"
+    //     A -> • "b", "a" / "b"
+    //     A -> 8
+    //     "a" -> 3
+    //     "b" -> 4
+    // State 4:
+    //   * A -> "b" •, "a" / "b"
+    // State 5:
+    //   * S -> A A •, $
+    // State 6:
+    //   * A -> "a" • A, $
+    //     A -> • "a" A, $
+    //     A -> • "b", $
+    //     A -> 9
+    //     "a" -> 6
+    //     "b" -> 7
+    // State 7:
+    //   * A -> "b" •, $
+    // State 8:
+    //   * A -> "a" A •, "a" / "b"
+    // State 9:
+    //   * A -> "a" A •, $
+
+    // Lookaheads through a nullable rest of the RHS, and the merged
+    // items with the same core.
+
+    const nullable = new LR1CanonicalCollection({grammar: new Grammar(`
+      S -> E Semi
+      E -> E "+" "n" | "n"
+      Semi -> ";" | ε
+    `)});
+
+    assert.deepEqual(
+        nullable.getStartState().getItems().map(item => item.serialize()),
+        [
+            `S' -> • S, $`,
+            `S -> • E Semi, $`,
+            `E -> • E "+" "n", "+" / ";" / $`,
+            `E -> • "n", "+" / ";" / $`,
+        ]
+    );
+
+    // Saved to JSON, and loaded back.
+
+    const loaded = LR1CanonicalCollection.fromJSON(
+        JSON.parse(JSON.stringify(collection)),
+        grammar
+    );
+
+    assert.equal(loaded.toText(), collection.toText());
+    assert.deepEqual(loaded.getState(4).getKernelItems()[0].getLookaheads(), ['"a"', '"b"']);
+}
@@ -0,0 +1,159 @@
+/**
+ * Canonical LR(1) parsing table.
+ *
+ * Built from the canonical collection of LR(1) items (see "LR(1)item.js"):
+ * a final item `[A -> α •, L]` is reduced exactly on its lookaheads L.
+ *
+ * It's the most powerful of the LR(1) tables: a grammar is LR(1) if this
+ * table has no conflicts. LALR(1) has the same lookaheads after merging
+ * the states with the same core, which can only add reduce/reduce conflicts,
+ * e.g. for the grammar:
+ *
+ *   S -> "a" A "c" | "b" A "d" | "a" B "d" | "b" B "c"
+ *   A -> "x"
+ *   B -> "x"
+ *
+ * after `"a" "x"` the LR(1) table reduces to A on "c", and to B on "d",
+ * and after `"b" "x"` the other way around. LALR(1) has one state for both,
+ * so it reduces to either A or B on both terminals.
+ *
+ * The price is the size: the LR(1) table has more states (as many as there
+ * are different lookaheads for the same core), though it has the same
+ * columns, and the same format as the other tables (see "LRParsingTable.js").
+ */
+
+const {EOF, LRParsingTable} = require('./LRParsingTable.js');
+const {LR1CanonicalCollection} = require('./LR(1)item.js');
+const {unquote} = require('./GrammarParser.js');
+
+class LR1ParsingTable extends LRParsingTable {
+    constructor({grammar, collection = new LR1CanonicalCollection({grammar})}) {
+        super({grammar, collection});
+        this._build();
+    }
+
+    getReduceLookaheads(state, item) {
+        return item.getLookaheads()
+            .map(terminal => terminal === EOF ? EOF : unquote(terminal));
+    }
+}
+
+module.exports = {
+    LR1ParsingTable,
+};
+
+// Testing (runs when the file is executed directly: `node LR1ParsingTable.js`)
+
+if (require.main === module) {
+    const assert = require('assert');
+    const {Grammar} = require('./LR(0)item.js');
+    const {LRParsingTable, SLRParsingTable, printTable} = require('./LRParsingTable.js');
+    const {LALRParsingTable} = require('./LALRParsingTable.js');
+
+    printTable(new LR1ParsingTable({grammar: new Grammar(`
+      S -> A A
+      A -> "a" A
+         | "b"
+    `)}));
+
+    // Output:
+
+    // +----------------------------+
+    // |    | a   b   $   | S   A   |
+    // +----------------------------+
+    // | 0  | s3  s4      | 1   2   |
+    // | 1  |         acc |         |
+    // | 2  | s6  s7      |     5   |
+    // | 3  | s3  s4      |     8   |
+    // | 4  | r3  r3      |         |
+    // | 5  |         r1  |         |
+    // | 6  | s6  s7      |     9   |
+    // | 7  |         r3  |         |
+    // | 8  | r2  r2      |         |
+    // | 9  |         r2  |         |
+    // +----------------------------+
+
+    // Comparing the tables: the number of states, and the conflicts.
+
+    const TABLES = {
+        'SLR(1)': SLRParsingTable,
+        'LALR(1)': LALRParsingTable,
+        'LR(1)': LR1ParsingTable,
+    };
+
+    const compare = grammar => {
+        for (let method in TABLES) {
+            let table = new TABLES[method]({grammar});
+
+            console.log(
+                `${method}: ${table.getCollection().getStates().length} states, ` +
+                `conflicts: ${table.getConflicts().length}`
+            );
+        }
+        console.log('');
+    };
+
+    // Assignment: LALR(1), and LR(1).
+
+    compare(new Grammar(`
+      S -> L "=" R | R
+      L -> "*" R | "id"
+      R -> L
+    `));
+
+    // LR(1), but not LALR(1).
+
+    const lr1 = new Grammar(`
+      S -> "a" A "c" | "b" A "d" | "a" B "d" | "b" B "c"
+      A -> "x"
+      B -> "x"
+    `);
+
+    compare(lr1);
+
+    // Ambiguous: not LR(1).
+
+    compare(new Grammar(`
+      E -> E "+" E | "n"
+    `));
+
+    // Output:
+
+    // SLR(1): 10 states, conflicts: 1
+    // LALR(1): 10 states, conflicts: 0
+    // LR(1): 14 states, conflicts: 0
+    //
+    // SLR(1): 13 states, conflicts: 2
+    // LALR(1): 13 states, conflicts: 2
+    // LR(1): 14 states, conflicts: 0
+    //
+    // SLR(1): 5 states, conflicts: 1
+    // LALR(1): 5 states, conflicts: 1
+    // LR(1): 5 states, conflicts: 1
+
+    // The LALR(1) conflict comes from merging of the two states
+    // of the LR(1) table after "x".
+
+    const {LR1CanonicalCollection} = require('./LR(1)item.js');
+
+    const afterX = new LR1CanonicalCollection({grammar: lr1}).getStates()
+        .filter(state => state.getKernelItems()[0].getCore() === 'A -> "x" •')
+        .map(state => state.getKernelItems().map(item => item.serialize()));
+
+    assert.deepEqual(afterX, [
+        ['A -> "x" •, "c"', 'B -> "x" •, "d"'],
+        ['A -> "x" •, "d"', 'B -> "x" •, "c"'],
+    ]);
+
+    // Loaded from JSON, the LR(1) items keep their lookaheads.
+
+    const loaded = LRParsingTable.fromJSON(
+        JSON.parse(JSON.stringify(new LR1ParsingTable({grammar: lr1}))),
+        lr1
+    );
+
+    assert.equal(
+        loaded.getCollection().toText(),
+        new LR1CanonicalCollection({grammar: lr1}).toText()
+    );
+}
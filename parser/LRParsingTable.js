@@ -0,0 +1,687 @@
+/**
+ * LR parsing table: ACTION and GOTO.
+ *
+ * The table is built from the canonical collection of LR(0) items (see
+ * "LR(0)item.js"), and is used by the LR parser:
+ *
+ *   - ACTION[state][terminal] is what to do when the parser is in the
+ *     state, and the terminal is the current token:
+ *
+ *       's5'  -- shift the token, and go to the state 5;
+ *       'r2'  -- reduce by the production 2;
+ *       'acc' -- accept, the input is parsed.
+ *
+ *     An empty cell is a parse error.
+ *
+ *   - GOTO[state][non-terminal] is the state to go to after a reduce
+ *     to the non-terminal.
+ *
+ * The columns of ACTION are the token types: terminals without quotes,
+ * `"+"` is the `+` column, and `$` for the end of the input.
+ *
+ * Example (for the grammar from "LR(0)item.js"):
+ *
+ *   1. S -> A A
+ *   2. A -> "a" A
+ *   3. A -> "b"
+ *
+ *   +----------------------------+
+ *   |    | a   b   $   | S   A   |
+ *   +----------------------------+
+ *   | 0  | s3  s4      | 1   2   |
+ *   | 1  |         acc |         |
+ *   | 2  | s3  s4      |     5   |
+ *   | 3  | s3  s4      |     6   |
+ *   | 4  | r3  r3  r3  |         |
+ *   | 5  |         r1  |         |
+ *   | 6  | r2  r2  r2  |         |
+ *   +----------------------------+
+ *
+ * Shift and goto entries come from the transitions of the states. Reduce
+ * entries come from the final items (`A -> α •`), and the terminals for
+ * them are what the table builders differ in. `SLRParsingTable` uses the
+ * Follow set of the LHS: SLR(1), or "simple LR". `LALRParsingTable`
+ * computes the lookaheads for each state (see "LALRParsingTable.js").
+ *
+ * If a cell gets two entries, it's a conflict: shift/reduce, or
+ * reduce/reduce. Conflicts don't stop the building, they are resolved
+ * as Yacc does it (shift is preferred over reduce, and a production
+ * defined earlier over a later one), and are reported by `getConflicts()`:
+ *
+ *   {
+ *     state: 4,
+ *     terminal: '+',
+ *     kind: 'shift/reduce',
+ *     actions: ['s3', 'r1'],
+ *     items: ['E -> E • "+" E', 'E -> E "+" E •'],
+ *     message: 'Shift/reduce conflict in state 4 on "+": ...',
+ *   }
+ *
+ * The items (here, and in the messages) are as they're written in the
+ * grammar text: the helper non-terminals of EBNF are in the notation,
+ * `D* -> •`, not `P_1 -> •`.
+ *
+ * "ConflictExplainer.js" explains them with counterexamples: the prefix
+ * which leads to the conflict, and the derivations for each action.
+ *
+ * Before that, shift/reduce conflicts are resolved by the precedence of
+ * the operators, if the grammar declares it (`%left`, `%right`, `%nonassoc`,
+ * see "GrammarParser.js"). The precedence of the token is compared with the
+ * precedence of the production: the higher one wins, and for the same level
+ * the associativity decides: reduce for left, shift for right, and neither
+ * for nonassoc (an error entry: `a < b < c` is a parse error). Such conflicts
+ * are not in `getConflicts()`, but in `getResolvedConflicts()`:
+ *
+ *   {
+ *     state: 4,
+ *     terminal: '+',
+ *     production: 1,
+ *     resolution: 'reduce',
+ *     message: 'Conflict in state 4 between production 1 (E -> E "+" E •) ' +
+ *              'and token "+" resolved as reduce (%left "+")',
+ *   }
+ */
+
+const {EOF, CanonicalCollection} = require('./LR(0)item.js');
+const {LR1CanonicalCollection} = require('./LR(1)item.js');
+const {buildFirstSets, buildFollowSets} = require('./first and follow.js');
+const {unquote} = require('./GrammarParser.js');
+
+/**
+ * Collections by their type, for loading from JSON.
+ */
+const COLLECTIONS = {
+    'LR(0)': CanonicalCollection,
+    'LR(1)': LR1CanonicalCollection,
+};
+
+/**
+ * Base class of the table builders, the subclasses
+ * define the terminals for the reduce entries.
+ */
+class LRParsingTable {
+    constructor({grammar, collection = new CanonicalCollection({grammar})}) {
+        this._grammar = grammar;
+        this._collection = collection;
+
+        this._action = {};
+        this._goto = {};
+
+        // All entries of each cell: {state: {terminal: [{action, items}]}},
+        // the rows have no prototype (for the terminals like `toString`).
+        this._entries = {};
+
+        this._conflicts = [];
+        this._resolvedConflicts = [];
+    }
+
+    getGrammar() {
+        return this._grammar;
+    }
+
+    getCollection() {
+        return this._collection;
+    }
+
+    /**
+     * {state: {terminal: 's5' | 'r2' | 'acc'}}.
+     */
+    getActionTable() {
+        return this._action;
+    }
+
+    /**
+     * {state: {non-terminal: state}}.
+     */
+    getGotoTable() {
+        return this._goto;
+    }
+
+    getConflicts() {
+        return this._conflicts;
+    }
+
+    hasConflicts() {
+        return this._conflicts.length > 0;
+    }
+
+    /**
+     * Shift/reduce conflicts resolved by the precedence.
+     */
+    getResolvedConflicts() {
+        return this._resolvedConflicts;
+    }
+
+    /**
+     * Token types which are the columns of the ACTION table.
+     */
+    getTerminals() {
+        return this._grammar.getTerminals().map(unquote).concat(EOF);
+    }
+
+    /**
+     * Terminals (token types) for which the final item is reduced in
+     * the state. Defined by the subclasses.
+     */
+    getReduceLookaheads(/* state, item */) {
+        throw new Error('Not implemented: getReduceLookaheads');
+    }
+
+    /**
+     * The table with its automaton for JSON, so it can be loaded without
+     * building (see `fromJSON`). The grammar is saved too (see `fingerprint`)
+     * to check that the table is loaded for the same one.
+     */
+    toJSON() {
+        return {
+            grammar: fingerprint(this._grammar),
+            action: this._action,
+            goto: this._goto,
+            conflicts: this._conflicts,
+            resolvedConflicts: this._resolvedConflicts,
+            collection: this._collection.toJSON(),
+        };
+    }
+
+    /**
+     * Loads the table saved with `toJSON()`:
+     *
+     *   let json = JSON.stringify(new LALRParsingTable({grammar}));
+     *   ...
+     *   let table = LRParsingTable.fromJSON(JSON.parse(json), grammar);
+     *
+     * The loaded table is ready for the parser, the method which has built
+     * it is not needed anymore.
+     */
+    static fromJSON(json, grammar) {
+        if (JSON.stringify(fingerprint(grammar)) !== JSON.stringify(json.grammar)) {
+            throw new Error('The table was built for a different grammar');
+        }
+
+        let table = new LRParsingTable({
+            grammar,
+            collection: COLLECTIONS[json.collection.type].fromJSON(json.collection, grammar),
+        });
+
+        table._action = json.action;
+        table._goto = json.goto;
+        table._conflicts = json.conflicts;
+        table._resolvedConflicts = json.resolvedConflicts;
+
+        return table;
+    }
+
+    /**
+     * Builds the table, the subclasses call it once their data for
+     * the reduce entries are ready.
+     */
+    _build() {
+        this._collection.getStates().forEach(state => {
+            let number = state.getNumber();
+            let itemsBySymbol = state.getItemsBySymbol();
+            let transitions = state.getTransitions();
+
+            this._action[number] = {};
+            this._goto[number] = {};
+            this._entries[number] = Object.create(null);
+
+            for (let symbol in transitions) {
+                let next = transitions[symbol].getNumber();
+                let item = itemsBySymbol[symbol][0];
+
+                if (item.getCurrentSymbol().isTerminal()) {
+                    this._addEntry(state, unquote(symbol), `s${next}`, itemsBySymbol[symbol]);
+                } else {
+                    this._goto[number][symbol] = next;
+                }
+            }
+
+            state.getItems().forEach(item => {
+                if (!item.isFinal()) {
+                    return;
+                }
+
+                let production = item.getProduction();
+
+                if (production === this._grammar.getAugmentedProduction()) {
+                    this._addEntry(state, EOF, 'acc', [item]);
+                    return;
+                }
+
+                this.getReduceLookaheads(state, item).forEach(terminal => {
+                    this._addEntry(state, terminal, `r${production.getNumber()}`, [item]);
+                });
+            });
+        });
+
+        this._resolveConflicts();
+    }
+
+    _addEntry(state, terminal, action, items) {
+        let cell = this._entries[state.getNumber()][terminal] ||
+            (this._entries[state.getNumber()][terminal] = []);
+
+        cell.push({action, items});
+    }
+
+    /**
+     * Chooses an action for each cell, and records the conflicts.
+     */
+    _resolveConflicts() {
+        for (let state in this._entries) {
+            for (let terminal in this._entries[state]) {
+                let cell = this._resolvePrecedence(
+                    Number(state),
+                    terminal,
+                    this._entries[state][terminal]
+                );
+
+                // Nonassoc operator: the cell is an error.
+                if (!cell.length) {
+                    continue;
+                }
+
+                // Shift (there can be only one) goes first, then reduces
+                // by the productions in order of the grammar.
+                let sorted = cell.slice().sort((a, b) => rank(a.action) - rank(b.action));
+
+                this._action[state][terminal] = sorted[0].action;
+
+                if (cell.length > 1) {
+                    this._conflicts.push(this._conflict(Number(state), terminal, sorted));
+                }
+            }
+        }
+    }
+
+    /**
+     * Resolves the shift/reduce conflicts of a cell by the precedence,
+     * returns the entries which are left.
+     */
+    _resolvePrecedence(state, terminal, cell) {
+        let shift = cell.find(entry => entry.action[0] === 's');
+        let tokenPrecedence = this._grammar.getPrecedence(terminal);
+
+        if (!shift || !tokenPrecedence) {
+            return cell;
+        }
+
+        let removed = [];
+
+        cell.forEach(entry => {
+            if (entry === shift) {
+                return;
+            }
+
+            let production = this._grammar.getProduction(Number(entry.action.slice(1)));
+            let precedence = this._grammar.getProductionPrecedence(production);
+
+            if (!precedence) {
+                return;
+            }
+
+            let resolution, reason;
+
+            if (precedence.level !== tokenPrecedence.level) {
+                let [lower, higher] = precedence.level < tokenPrecedence.level
+                    ? [precedence, tokenPrecedence]
+                    : [tokenPrecedence, precedence];
+
+                resolution = lower === precedence ? 'shift' : 'reduce';
+                reason = `${this._displayToken(lower.symbol)} < ${this._displayToken(higher.symbol)}`;
+            } else {
+                resolution = {left: 'reduce', right: 'shift', nonassoc: 'error'}[
+                    tokenPrecedence.associativity
+                ];
+                reason = `%${tokenPrecedence.associativity} ${this._displayToken(terminal)}`;
+            }
+
+            if (resolution !== 'reduce') {
+                removed.push(entry);
+            }
+            if (resolution !== 'shift') {
+                removed.push(shift);
+            }
+
+            this._resolvedConflicts.push({
+                state,
+                terminal,
+                production: production.getNumber(),
+                resolution,
+                message:
+                    `Conflict in state ${state} between production ${production.getNumber()} ` +
+                    `(${entry.items[0].getNotation()}) and token "${terminal}" ` +
+                    `resolved as ${resolution} (${reason})`,
+            });
+        });
+
+        return cell.filter(entry => removed.indexOf(entry) === -1);
+    }
+
+    /**
+     * Terminals of the grammar are quoted, names which are declared
+     * only for `%prec` are not.
+     */
+    _displayToken(tokenType) {
+        return this.getTerminals().indexOf(tokenType) !== -1
+            ? `"${tokenType}"`
+            : tokenType;
+    }
+
+    _conflict(state, terminal, entries) {
+        let kind = entries[0].action[0] === 's'
+            ? 'shift/reduce'
+            : 'reduce/reduce';
+
+        let items = [];
+        entries.forEach(entry => entry.items.forEach(item => {
+            if (items.indexOf(item.getNotation()) === -1) {
+                items.push(item.getNotation());
+            }
+        }));
+
+        let descriptions = entries.map(entry => {
+            let items = entry.items.map(item => item.getNotation()).join(', ');
+            return entry.action[0] === 's'
+                ? `shift to state ${entry.action.slice(1)} (${items})`
+                : `reduce by production ${entry.action.slice(1)} (${items})`;
+        });
+
+        return {
+            state,
+            terminal,
+            kind,
+            actions: entries.map(entry => entry.action),
+            items,
+            message:
+                `${kind[0].toUpperCase() + kind.slice(1)} conflict in state ` +
+                `${state} on "${terminal}": ${descriptions.join(', or ')}`,
+        };
+    }
+}
+
+/**
+ * What of the grammar the saved table depends on: the productions with
+ * their `%prec` symbols and the code of the actions, and the operators
+ * (the precedence changes the entries of the conflicts it resolves).
+ */
+function fingerprint(grammar) {
+    let productions = grammar.getProductions();
+
+    return {
+        productions: Object.keys(productions).map(k => [
+            productions[k].getRaw(),
+            productions[k].getPrecedenceSymbol(),
+            productions[k].getAction(),
+        ]),
+        operators: grammar.getOperators(),
+    };
+}
+
+/**
+ * Order of the actions in a cell: shift, accept, then reduces
+ * by the production number.
+ */
+function rank(action) {
+    if (action[0] === 's') {
+        return -2;
+    }
+    if (action === 'acc') {
+        return -1;
+    }
+    return Number(action.slice(1));
+}
+
+/**
+ * SLR(1): a final item `A -> α •` is reduced on the terminals
+ * from the Follow set of `A`.
+ */
+class SLRParsingTable extends LRParsingTable {
+    constructor(options) {
+        super(options);
+
+        let grammar = this._grammar.toParsedGrammar();
+        let startSymbol = this._grammar.getAugmentedProduction().getLHS().getSymbol();
+
+        this._followSets = buildFollowSets(grammar, startSymbol, buildFirstSets(grammar));
+
+        this._build();
+    }
+
+    getReduceLookaheads(state, item) {
+        let LHS = item.getProduction().getLHS().getSymbol();
+
+        return Object.keys(this._followSets[LHS])
+            .map(terminal => terminal === EOF ? EOF : unquote(terminal));
+    }
+}
+
+/**
+ * Prints the table in the format shown above.
+ */
+function printTable(table) {
+    let terminals = table.getTerminals();
+    let nonTerminals = table.getGrammar().getNonTerminals();
+    let pad = (value, width) => String(value === undefined ? '' : value).padEnd(width);
+
+    let width = Math.max(
+        4,
+        ...terminals.map(terminal => terminal.length + 1),
+        ...nonTerminals.map(symbol => symbol.length + 1)
+    );
+
+    let header = '|    | ' + terminals.map(terminal => pad(terminal, width)).join('') +
+        '| ' + nonTerminals.map(symbol => pad(symbol, width)).join('') + '|';
+
+    let line = '+' + '-'.repeat(header.length - 2) + '+';
+
+    console.log(line);
+    console.log(header);
+    console.log(line);
+
+    table.getCollection().getStates().forEach(state => {
+        let number = state.getNumber();
+        console.log(
+            '| ' + pad(number, 3) + '| ' +
+            terminals.map(terminal => pad(table.getActionTable()[number][terminal], width)).join('') +
+            '| ' +
+            nonTerminals.map(symbol => pad(table.getGotoTable()[number][symbol], width)).join('') +
+            '|'
+        );
+    });
+
+    console.log(line);
+}
+
+module.exports = {
+    EOF,
+    LRParsingTable,
+    SLRParsingTable,
+    printTable,
+};
+
+// Testing (runs when the file is executed directly: `node LRParsingTable.js`)
+
+if (require.main === module) {
+    const assert = require('assert');
+    const {Grammar} = require('./LR(0)item.js');
+
+    printTable(new SLRParsingTable({grammar: new Grammar(`
+      S -> A A
+      A -> "a" A
+         | "b"
+    `)}));
+
+    // Output:
+
+    // +----------------------------+
+    // |    | a   b   $   | S   A   |
+    // +----------------------------+
+    // | 0  | s3  s4      | 1   2   |
+    // | 1  |         acc |         |
+    // | 2  | s3  s4      |     5   |
+    // | 3  | s3  s4      |     6   |
+    // | 4  | r3  r3  r3  |         |
+    // | 5  |         r1  |         |
+    // | 6  | r2  r2  r2  |         |
+    // +----------------------------+
+
+    // The calculator grammar is SLR(1).
+
+    const calculator = new SLRParsingTable({grammar: new Grammar(`
+      E -> E "+" T | T
+      T -> T "*" F | F
+      F -> "(" E ")" | "id"
+    `)});
+
+    printTable(calculator);
+
+    assert(!calculator.hasConflicts());
+
+    // Output:
+
+    // +--------------------------------------------+
+    // |    | +   *   (   )   id  $   | E   T   F   |
+    // +--------------------------------------------+
+    // | 0  |         s4      s5      | 1   2   3   |
+    // | 1  | s6                  acc |             |
+    // | 2  | r2  s7      r2      r2  |             |
+    // | 3  | r4  r4      r4      r4  |             |
+    // | 4  |         s4      s5      | 8   2   3   |
+    // | 5  | r6  r6      r6      r6  |             |
+    // | 6  |         s4      s5      |     9   3   |
+    // | 7  |         s4      s5      |         10  |
+    // | 8  | s6          s11         |             |
+    // | 9  | r1  s7      r1      r1  |             |
+    // | 10 | r3  r3      r3      r3  |             |
+    // | 11 | r5  r5      r5      r5  |             |
+    // +--------------------------------------------+
+
+    // Ambiguous grammar: shift/reduce conflicts.
+
+    const ambiguous = new SLRParsingTable({grammar: new Grammar(`
+      E -> E "+" E | "a"
+    `)});
+
+    ambiguous.getConflicts().forEach(conflict => console.log(conflict.message));
+
+    assert.deepEqual(ambiguous.getConflicts().map(conflict => [
+        conflict.state, conflict.terminal, conflict.kind, conflict.actions, conflict.items,
+    ]), [[4, '+', 'shift/reduce', ['s3', 'r1'], ['E -> E • "+" E', 'E -> E "+" E •']]]);
+
+    // Output:
+
+    // Shift/reduce conflict in state 4 on "+": shift to state 3 (E -> E • "+" E), or reduce by production 1 (E -> E "+" E •)
+
+    // Reduce/reduce conflict.
+
+    new SLRParsingTable({grammar: new Grammar(`
+      S -> A "x" | B "x"
+      A -> "a"
+      B -> "a"
+    `)}).getConflicts().forEach(conflict => console.log(conflict.message));
+
+    // Output:
+
+    // Reduce/reduce conflict in state 4 on "x": reduce by production 3 (A -> "a" •), or reduce by production 4 (B -> "a" •)
+
+    // The assignment grammar is not SLR(1) (but it's LALR(1), see
+    // "LALRParsingTable.js"), since Follow(R) contains "=".
+
+    const assignment = new SLRParsingTable({grammar: new Grammar(`
+      S -> L "=" R | R
+      L -> "*" R | "id"
+      R -> L
+    `)});
+
+    assignment.getConflicts().forEach(conflict => console.log(conflict.message));
+
+    // Output:
+
+    // Shift/reduce conflict in state 2 on "=": shift to state 6 (S -> L • "=" R), or reduce by production 5 (R -> L •)
+
+    // EBNF: the helper non-terminals are shown in the notation.
+
+    new SLRParsingTable({grammar: new Grammar(`
+      P -> D* S*
+      D -> "id" ";"
+      S -> "id" "=" "id" ";"
+    `)}).getConflicts().forEach(conflict => console.log(conflict.message));
+
+    // Output:
+
+    // Shift/reduce conflict in state 0 on "id": shift to state 4 (D -> • "id" ";"), or reduce by production 5 (D* -> •)
+    // Shift/reduce conflict in state 3 on "id": shift to state 4 (D -> • "id" ";"), or reduce by production 5 (D* -> •)
+
+    // The ambiguous grammar with the precedence of the operators: all the
+    // conflicts are resolved by it.
+
+    const operators = new SLRParsingTable({grammar: new Grammar(`
+      %left "+"
+      %left "*"
+      %right "^"
+
+      E -> E "+" E | E "*" E | E "^" E | "n"
+    `)});
+
+    console.log('Conflicts:', operators.getConflicts().length);
+    operators.getResolvedConflicts().forEach(conflict => console.log(conflict.message));
+
+    // Output:
+
+    // Conflicts: 0
+    // Conflict in state 6 between production 1 (E -> E "+" E •) and token "+" resolved as reduce (%left "+")
+    // Conflict in state 6 between production 1 (E -> E "+" E •) and token "*" resolved as shift ("+" < "*")
+    // Conflict in state 6 between production 1 (E -> E "+" E •) and token "^" resolved as shift ("+" < "^")
+    // Conflict in state 7 between production 2 (E -> E "*" E •) and token "+" resolved as reduce ("+" < "*")
+    // Conflict in state 7 between production 2 (E -> E "*" E •) and token "*" resolved as reduce (%left "*")
+    // Conflict in state 7 between production 2 (E -> E "*" E •) and token "^" resolved as shift ("*" < "^")
+    // Conflict in state 8 between production 3 (E -> E "^" E •) and token "+" resolved as reduce ("+" < "^")
+    // Conflict in state 8 between production 3 (E -> E "^" E •) and token "*" resolved as reduce ("*" < "^")
+    // Conflict in state 8 between production 3 (E -> E "^" E •) and token "^" resolved as shift (%right "^")
+
+    // Nonassoc: an error entry.
+
+    const comparison = new SLRParsingTable({grammar: new Grammar(`
+      %nonassoc "<"
+      E -> E "<" E | "n"
+    `)});
+
+    assert.equal(comparison.getResolvedConflicts()[0].resolution, 'error');
+    assert.equal(comparison.getActionTable()[3]['<'], undefined);
+
+    // Saved to JSON, and loaded back without building.
+
+    const expressions = new Grammar(`
+      %left "+"
+      E -> E "+" E | "n"
+    `);
+
+    const saved = JSON.stringify(new SLRParsingTable({grammar: expressions}));
+    const loaded = LRParsingTable.fromJSON(JSON.parse(saved), expressions);
+
+    assert.deepEqual(loaded.getActionTable(), new SLRParsingTable({grammar: expressions}).getActionTable());
+    assert.equal(loaded.getResolvedConflicts().length, 1);
+    assert.equal(loaded.getCollection().getStates().length, 5);
+
+    assert.throws(
+        () => LRParsingTable.fromJSON(JSON.parse(saved), new Grammar('E -> "n"')),
+        /The table was built for a different grammar/
+    );
+
+    // The same productions, but a different precedence, `%prec`, or action.
+
+    [`
+      %right "+"
+      E -> E "+" E | "n"
+    `, `
+      %left "+"
+      E -> E "+" E %prec "+" | "n"
+    `, `
+      %left "+"
+      E -> E "+" E { $$ = $1 + $3 } | "n"
+    `].forEach(grammar => assert.throws(
+        () => LRParsingTable.fromJSON(JSON.parse(saved), new Grammar(grammar)),
+        /The table was built for a different grammar/
+    ));
+}
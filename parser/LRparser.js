@@ -0,0 +1,818 @@
+/**
+ * = LR parser =
+ *
+ * The shift-reduce parser, driven by the LR parsing table
+ * (see "LRParsingTable.js").
+ *
+ * LR parser consists of:
+ *
+ * 1. input buffer (the token stream)
+ * 2. stack of the states
+ * 3. parsing table (ACTION and GOTO)
+ *
+ * Parsing algorithm:
+ *
+ *   The state on top of the stack, and the current token give the action:
+ *
+ *   - shift `sN`: the token is pushed onto the stack with the state N,
+ *     and the cursor moves further;
+ *
+ *   - reduce `rN`: the RHS of the production N is on top of the stack, it's
+ *     popped, and the LHS is pushed instead, with the state from the GOTO
+ *     table for the state which is on top after the pop;
+ *
+ *   - accept `acc`: the whole input is reduced to the start symbol;
+ *
+ *   - no action: parse error.
+ *
+ * Example:
+ *
+ * Grammar:
+ *
+ *   1. S -> A A
+ *   2. A -> "a" A
+ *   3. A -> "b"
+ *
+ * Input: `a b b`, the reductions are: 3, 2, 3, 1, which is the rightmost
+ * derivation in reverse (hence the name: LR -- scan the source from Left
+ * to right, and build the Rightmost derivation):
+ *
+ *   S -> A A -> A b -> a A b -> a b b
+ */
+
+const {ERROR, ERROR_TYPE, Grammar} = require('./LR(0)item.js');
+const {EOF, SLRParsingTable} = require('./LRParsingTable.js');
+const {LALRParsingTable} = require('./LALRParsingTable.js');
+const {LR1ParsingTable} = require('./LR1ParsingTable.js');
+const {Lexer, TokenStream, lexerDiagnostic} = require('./Lexer.js');
+const {reduceHelperValue, restoreTree} = require('./EBNF.js');
+const {replaceInCode} = require('./GrammarParser.js');
+
+/**
+ * Table builders by the name of the method.
+ */
+const TABLES = {
+    'SLR(1)': SLRParsingTable,
+    'LALR(1)': LALRParsingTable,
+    'LR(1)': LR1ParsingTable,
+};
+
+/**
+ * The whole pipeline: grammar in (text, or a `Grammar`), parser out.
+ *
+ *   createLRParser(`
+ *     E -> E "+" T | T
+ *     T -> "a"
+ *   `).parse('a + a');
+ *
+ * The `method` option is the table builder: 'LALR(1)' (the default, as
+ * in Yacc), 'SLR(1)', or 'LR(1)'. Semantic actions, and a custom lexer are
+ * passed in the options too, see `LRParser`.
+ *
+ * Conflicts in the table don't prevent building the parser (they are
+ * resolved by default rules), and can be checked in `getTable().getConflicts()`,
+ * or explained with `new ConflictExplainer(parser.getTable())`.
+ */
+function createLRParser(grammar, {method = 'LALR(1)', actions, lexer} = {}) {
+    if (!(grammar instanceof Grammar)) {
+        grammar = new Grammar(grammar);
+    }
+
+    if (!TABLES[method]) {
+        throw new Error(`Unknown LR parsing table method: ${method}`);
+    }
+
+    return new LRParser({
+        table: new TABLES[method]({grammar}),
+        actions,
+        lexer,
+    });
+}
+
+/**
+ * The table-driven LR parser. Each instance keeps its own stack and
+ * input buffer, so the same parser can be reused for any number of sources.
+ *
+ * Semantic actions are optional, and are keyed by the production number,
+ * as in the LL parser. An action is called on a reduce with the values of
+ * the RHS symbols (a terminal's value is the matched text), and returns the
+ * value of the LHS. Without an action the value of the first RHS symbol
+ * is used (as `$$ = $1` in Yacc):
+ *
+ *   actions: {
+ *     1: (E, plus, T) => ['+', E, T], // 1. E -> E "+" T
+ *   }
+ *
+ * The actions can also be written in the grammar text, as in Yacc (an action
+ * in the options overrides the one of the same production in the grammar):
+ *
+ *   E -> E "+" T { $$ = ['+', $1, $3] }
+ *
+ * There `$$` is the value of the LHS, `$1`, `$2`, ... are the values of the
+ * RHS symbols, and `@$`, `@1`, ... their locations:
+ *
+ *   {startLine, startColumn, startOffset, endLine, endColumn, endOffset}
+ *
+ * (the location of an ε-production is empty, at the next token). The actions
+ * in the options get the locations as `this.location`, and `this.locations`.
+ *
+ * Helper productions of EBNF (see "EBNF.js") get the values of the
+ * notation: an array for `X*`, and `X+`, the value, or null for `X?`.
+ *
+ * By default the parser throws on the first parse error. If the grammar uses
+ * the reserved `error` terminal, the parser recovers from the errors as Yacc
+ * does it:
+ *
+ *   Stmt -> Expr ";" | error ";"
+ *
+ *   - the states are popped from the stack until a state which can shift
+ *     `error`, and it's shifted (its value is null);
+ *
+ *   - then the input tokens are discarded until one which can follow
+ *     the `error` (here, the `;`), and parsing continues;
+ *
+ *   - until three tokens are shifted after that, new errors are not
+ *     reported (they are usually caused by the same mistake).
+ *
+ * Every error is recorded in the `diagnostics` of the result (as in the LL
+ * parser, unexpected characters too: they are skipped), and the result is
+ * not `accepted`. If there is no state to shift `error`, or the input ends
+ * while discarding, the parse stops (there's no tree, and no value then).
+ *
+ * The column of `error` in the table is `$error`, so the quoted `"error"`
+ * is a usual terminal, which the lexer matches.
+ *
+ * The source is read through the token stream (see "Lexer.js"). By default
+ * the lexer matches the terminals of the grammar literally, a custom one is
+ * needed for token classes, e.g. `{type: 'NUMBER', pattern: /\d+/}` for the
+ * `"NUMBER"` terminal.
+ */
+class LRParser {
+    constructor({table, actions = null, lexer = null}) {
+        this._table = table;
+        this._grammar = table.getGrammar();
+        this._actions = this._compileActions(actions);
+        this._helpers = this._grammar.getHelpers();
+
+        this._recovers = table.getTerminals().indexOf(ERROR_TYPE) !== -1;
+
+        this._lexer = lexer || Lexer.fromLiterals(
+            table.getTerminals().filter(terminal => terminal !== EOF && terminal !== ERROR_TYPE)
+        );
+    }
+
+    getGrammar() {
+        return this._grammar;
+    }
+
+    getTable() {
+        return this._table;
+    }
+
+    /**
+     * Parses a source, returning the result of the parse:
+     *
+     *   {
+     *     accepted: true,
+     *     productions: [3, 2, 3, 1],
+     *     tree: {symbol: 'S', production: 1, children: [...]},
+     *     value: <result of the semantic actions, if any>,
+     *     diagnostics: [],
+     *   }
+     *
+     * The stack holds {state, node, value} entries, where the node is a node
+     * of the parse tree. Throws on parse errors, unless the grammar
+     * has the error recovery.
+     */
+    parse(source) {
+        this._init(source);
+
+        let action = this._table.getActionTable();
+        let parsed = true;
+
+        while (true) {
+            let top = this._stack[this._stack.length - 1];
+            let current = this._tokens.peek();
+            let entry = getEntry(action[top.state], current.type);
+
+            if (!entry) {
+                if (this._recover(current)) {
+                    continue;
+                }
+                parsed = false;
+                break;
+            }
+
+            if (entry === 'acc') {
+                break;
+            }
+
+            if (entry[0] === 's') {
+                this._shift(this._tokens.next(), Number(entry.slice(1)));
+
+                if (this._recovering) {
+                    this._recovering--;
+                }
+            } else {
+                this._reduce(Number(entry.slice(1)));
+            }
+        }
+
+        let root = this._stack[this._stack.length - 1];
+
+        return {
+            accepted: parsed && this._diagnostics.length === 0,
+            productions: this._productionNumbers,
+            tree: parsed ? restoreTree(root.node, this._helpers) : null,
+            value: parsed && this._actions ? root.value : undefined,
+            diagnostics: this._diagnostics,
+        };
+    }
+
+    _init(source) {
+        this._stack = [{state: 0}];
+        this._productionNumbers = [];
+        this._diagnostics = [];
+        this._tokens = this._tokenize(source);
+
+        // Tokens to shift before the new errors are reported.
+        this._recovering = 0;
+    }
+
+    /**
+     * Recovers from the error on the token (see the description of the
+     * class above), returns false if the parser cannot continue.
+     */
+    _recover(token) {
+        let action = this._table.getActionTable();
+        let canShiftError = entry => (getEntry(action[entry.state], ERROR_TYPE) || '')[0] === 's';
+
+        // Right after the `error` (nothing is shifted yet): the token
+        // cannot follow it, discard it.
+        if (this._recovering === 3) {
+            if (token.type === EOF) {
+                return false;
+            }
+            this._tokens.next();
+            return true;
+        }
+
+        if (!this._recovering) {
+            let state = this._stack[this._stack.length - 1].state;
+
+            this._error(token, this._table.getTerminals().filter(
+                terminal => terminal !== ERROR_TYPE && getEntry(action[state], terminal)
+            ));
+        }
+
+        this._recovering = 3;
+
+        while (this._stack.length > 1 && !canShiftError(this._stack[this._stack.length - 1])) {
+            this._stack.pop();
+        }
+
+        let top = this._stack[this._stack.length - 1];
+
+        if (!canShiftError(top)) {
+            return false;
+        }
+
+        this._stack.push({
+            state: Number(action[top.state][ERROR_TYPE].slice(1)),
+            node: {symbol: ERROR, token: Object.assign({}, token, {type: ERROR_TYPE, value: ''})},
+            value: null,
+            location: emptyLocation(token),
+        });
+
+        return true;
+    }
+
+    _shift(token, state) {
+        this._stack.push({
+            state,
+            node: {symbol: token.type, token},
+            value: token.value,
+            location: tokenLocation(token),
+        });
+    }
+
+    /**
+     * Pops the RHS, and pushes the LHS with the state from GOTO.
+     */
+    _reduce(productionNumber) {
+        let production = this._grammar.getProduction(productionNumber);
+        let LHS = production.getLHS().getSymbol();
+        let length = production.getRHS().filter(symbol => !symbol.isEpsilon()).length;
+
+        let popped = this._stack.splice(this._stack.length - length, length);
+        let top = this._stack[this._stack.length - 1];
+
+        let locations = popped.map(entry => entry.location);
+        let location = length
+            ? spanLocation(locations[0], locations[length - 1])
+            : emptyLocation(this._tokens.peek());
+
+        this._productionNumbers.push(productionNumber);
+
+        this._stack.push({
+            state: this._table.getGotoTable()[top.state][LHS],
+            node: {
+                symbol: LHS,
+                production: productionNumber,
+                children: popped.map(entry => entry.node),
+            },
+            value: this._actions
+                ? this._evaluate(productionNumber, LHS, popped.map(entry => entry.value), {
+                    location,
+                    locations,
+                })
+                : undefined,
+            location,
+        });
+    }
+
+    /**
+     * Runs the semantic action of the production, the context
+     * has the locations.
+     */
+    _evaluate(productionNumber, LHS, values, context) {
+        if (this._helpers.hasOwnProperty(LHS)) {
+            return reduceHelperValue(this._helpers[LHS].kind, values);
+        }
+
+        let action = this._actions[productionNumber];
+
+        return action ? action.apply(context, values) : values[0];
+    }
+
+    /**
+     * Actions of the grammar text, and of the options (which take
+     * precedence), or null if there are none.
+     */
+    _compileActions(actions) {
+        let compiled = {};
+        let productions = this._grammar.getProductions();
+
+        for (let k in productions) {
+            if (productions[k].getAction() !== null) {
+                compiled[k] = compileAction(productions[k]);
+            }
+        }
+
+        if (!actions && !Object.keys(compiled).length) {
+            return null;
+        }
+
+        return Object.assign(compiled, actions);
+    }
+
+    /**
+     * The source is either a string, which is tokenized by the lexer,
+     * a `TokenStream`, or an array of tokens (where a token is `{type, value}`,
+     * or just a string which is both, type and value).
+     */
+    _tokenize(source) {
+        if (source instanceof TokenStream) {
+            return source;
+        }
+
+        if (Array.isArray(source)) {
+            return new TokenStream({tokens: source});
+        }
+
+        // With the error recovery the lexer errors are the diagnostics too,
+        // and the unexpected characters are skipped.
+        return this._lexer.tokenize(source, this._recovers
+            ? {onError: error => this._diagnostics.push(lexerDiagnostic(error))}
+            : {});
+    }
+
+    /**
+     * Throws a parse error, listing the terminals which are expected
+     * in the current state:
+     *
+     *   Parse error, unexpected token: ) at 1:4, expected: id, (
+     *
+     * The error has the `line`, `column`, `found`, and `expected` properties.
+     * Tokens passed as an array have no lines, only their index
+     * as the position.
+     *
+     * With the error recovery, the same is recorded as the diagnostic:
+     * {message, position, line, column, found, expected}.
+     */
+    _error(token, expected) {
+        let location = token.line
+            ? `${token.line}:${token.column}`
+            : `position ${token.offset}`;
+
+        let message = (token.type === EOF
+            ? 'Parse error, unexpected end of input'
+            : `Parse error, unexpected token: ${token.type} at ${location}`) +
+            `, expected: ${expected.join(', ')}`;
+
+        let details = {
+            position: token.offset,
+            line: token.line,
+            column: token.column,
+            found: token.type,
+            expected,
+        };
+
+        if (!this._recovers) {
+            throw Object.assign(Error(message), details);
+        }
+
+        this._diagnostics.push(Object.assign({message}, details));
+    }
+}
+
+/**
+ * Compiles the action code of a production into a function of the values
+ * of the RHS symbols, which returns `$$`. The locations are in the context:
+ * `@$` is `this.location`, and `@1` is `this.locations[0]`.
+ */
+function compileAction(production) {
+    let length = production.getRHS().filter(symbol => !symbol.isEpsilon()).length;
+    let params = [];
+
+    for (let k = 1; k <= length; k++) {
+        params.push(`$${k}`);
+    }
+
+    // Not in the strings, and comments of the code (see "GrammarParser.js").
+    let code = replaceInCode(production.getAction(), /@(\$|\d+)/g, (match, n) => n === '$'
+        ? 'this.location'
+        : `this.locations[${n - 1}]`
+    );
+
+    try {
+        return new Function(...params, `let $$ = ${length ? '$1' : 'undefined'};\n${code};\nreturn $$;`);
+    } catch (error) {
+        throw new SyntaxError(
+            `Invalid action of production ${production.getNumber()} ` +
+            `(${production.getRaw()}): ${error.message}`
+        );
+    }
+}
+
+/**
+ * The action of the table row for the token type, or undefined. Token
+ * types like `toString` are not looked up in `Object.prototype`.
+ */
+function getEntry(row, type) {
+    return Object.prototype.hasOwnProperty.call(row, type) ? row[type] : undefined;
+}
+
+/**
+ * Location of a token, the end is after its last character.
+ */
+function tokenLocation(token) {
+    let value = String(token.value);
+    let lines = value.split('\n');
+
+    return {
+        startLine: token.line,
+        startColumn: token.column,
+        startOffset: token.offset,
+        endLine: token.line && token.line + lines.length - 1,
+        endColumn: token.column && (lines.length > 1
+            ? lines[lines.length - 1].length + 1
+            : token.column + value.length),
+        endOffset: token.offset + value.length,
+    };
+}
+
+function spanLocation(first, last) {
+    return {
+        startLine: first.startLine,
+        startColumn: first.startColumn,
+        startOffset: first.startOffset,
+        endLine: last.endLine,
+        endColumn: last.endColumn,
+        endOffset: last.endOffset,
+    };
+}
+
+/**
+ * An empty location at the start of the token.
+ */
+function emptyLocation(token) {
+    return spanLocation(tokenLocation(token), {
+        endLine: token.line,
+        endColumn: token.column,
+        endOffset: token.offset,
+    });
+}
+
+module.exports = {
+    LRParser,
+    createLRParser,
+};
+
+// Testing (runs when the file is executed directly: `node LRparser.js`)
+
+if (require.main === module) {
+    const assert = require('assert');
+
+    const parser = createLRParser(`
+      S -> A A
+      A -> "a" A
+         | "b"
+    `);
+
+    console.log(parser.parse('a b b').productions.join(', '));
+
+    // Output:
+
+    // 3, 2, 3, 1
+
+    // The calculator grammar (left-recursive as is), building an AST
+    // for the "AST.js" printer.
+
+    const {compile} = require('./AST.js');
+
+    const calculator = createLRParser(`
+      E -> E "+" T | T
+      T -> T "*" F | F
+      F -> "(" E ")" | "a"
+    `, {
+        actions: {
+            1: (E, op, T) => [op, E, T], // E -> E "+" T
+            3: (T, op, F) => [op, T, F], // T -> T "*" F
+            5: (lp, E) => E,             // F -> "(" E ")"
+        },
+    });
+
+    let result = calculator.parse('(a + a) * a + a');
+
+    console.log(result.productions.join(', '));
+    console.log(JSON.stringify(result.value));
+    compile(result.value);
+
+    // Output:
+
+    // 6, 4, 2, 6, 4, 1, 5, 4, 6, 3, 2, 6, 4, 1
+    // ["+",["*",["+","a","a"],"a"],"a"]
+    // (a + a) * a + a
+
+    // The parse tree:
+
+    console.log(JSON.stringify(calculator.parse('a').tree));
+
+    // Output:
+
+    // {"symbol":"E","production":2,"children":[
+    //   {"symbol":"T","production":4,"children":[
+    //     {"symbol":"F","production":6,"children":[
+    //       {"symbol":"a","token":{"type":"a","value":"a","line":1,"column":1,"offset":0}}]}]}]}
+
+    // Errors list the expected terminals.
+
+    ['(a + ) * a', 'a a', '(a'].forEach(source => {
+        try {
+            calculator.parse(source);
+        } catch (error) {
+            console.log(error.message);
+        }
+    });
+
+    // Output:
+
+    // Parse error, unexpected token: ) at 1:6, expected: (, a
+    // Parse error, unexpected token: a at 1:3, expected: +, *, ), $
+    // Parse error, unexpected end of input, expected: +, )
+
+    // EBNF, and a custom lexer.
+
+    const list = createLRParser(`
+      List -> "[" ("NUMBER" ("," "NUMBER")*)? "]"
+    `, {
+        lexer: new Lexer([
+            {type: 'NUMBER', pattern: /\d+/},
+            {type: '[', pattern: '['},
+            {type: ']', pattern: ']'},
+            {type: ',', pattern: ','},
+        ]),
+        actions: {
+            1: (lb, items) => items ? [Number(items[0])].concat(
+                items[1].map(([comma, number]) => Number(number))
+            ) : [],
+        },
+    });
+
+    assert.deepEqual(list.parse('[1, 22, 333]').value, [1, 22, 333]);
+    assert.deepEqual(list.parse('[]').value, []);
+
+    assert.deepEqual(
+        list.parse('[1, 2]').tree.children[1].children[0].children
+            .map(node => node.symbol),
+        ['NUMBER', '("," "NUMBER")*']
+    );
+
+    // The default LALR(1) table of the assignment grammar has no conflicts
+    // (unlike SLR(1)).
+
+    const assignment = createLRParser(`
+      S -> L "=" R | R
+      L -> "*" R | "id"
+      R -> L
+    `);
+
+    assert.equal(assignment.getTable().hasConflicts(), false);
+    assert.deepEqual(assignment.parse('* id = id').productions, [4, 5, 3, 4, 5, 1]);
+
+    // Precedence declarations instead of the layered grammar.
+
+    const arithmetic = createLRParser(`
+      %left "+" "-"
+      %left "*"
+      %right "^"
+      %right UMINUS
+
+      E -> E "+" E | E "-" E | E "*" E | E "^" E
+         | "-" E %prec UMINUS
+         | "(" E ")"
+         | "NUMBER"
+    `, {
+        lexer: new Lexer(['+', '-', '*', '^', '(', ')'].map(
+            operator => ({type: operator, pattern: operator})
+        ).concat({type: 'NUMBER', pattern: /\d+/})),
+        actions: {
+            1: (a, op, b) => a + b,
+            2: (a, op, b) => a - b,
+            3: (a, op, b) => a * b,
+            4: (a, op, b) => Math.pow(a, b),
+            5: (op, a) => -a,
+            6: (lp, a) => a,
+            7: number => Number(number),
+        },
+    });
+
+    assert.equal(arithmetic.getTable().hasConflicts(), false);
+    assert.equal(arithmetic.parse('10 - 2 - 3').value, 5);
+    assert.equal(arithmetic.parse('2 + 3 * 4').value, 14);
+    assert.equal(arithmetic.parse('2 ^ 3 ^ 2').value, 512);
+    assert.equal(arithmetic.parse('-2 ^ 2').value, 4); // UMINUS is above "^"
+    assert.equal(arithmetic.parse('-(1 + 2) * 3').value, -9);
+
+    // The parser from a table which is saved to JSON (once), and loaded
+    // (on every start).
+
+    const {LRParsingTable} = require('./LRParsingTable.js');
+
+    const saved = JSON.stringify(calculator.getTable());
+
+    const loaded = new LRParser({
+        table: LRParsingTable.fromJSON(JSON.parse(saved), calculator.getGrammar()),
+        actions: {
+            1: (E, op, T) => [op, E, T],
+            3: (T, op, F) => [op, T, F],
+            5: (lp, E) => E,
+        },
+    });
+
+    assert.deepEqual(loaded.parse('(a + a) * a + a').value, result.value);
+
+    // Actions in the grammar text: the grammar directly gives the AST.
+
+    const expressionParser = createLRParser(`
+      %left "+" "-"
+      %left "*" "/"
+
+      E -> E "+" E { $$ = ['+', $1, $3] }
+         | E "-" E { $$ = ['-', $1, $3] }
+         | E "*" E { $$ = ['*', $1, $3] }
+         | E "/" E { $$ = ['/', $1, $3] }
+         | "(" E ")" { $$ = $2 }
+         | "NUMBER" {
+             // A number, not the matched text.
+             $$ = Number($1);
+           }
+    `, {
+        lexer: new Lexer(['+', '-', '*', '/', '(', ')'].map(
+            operator => ({type: operator, pattern: operator})
+        ).concat({type: 'NUMBER', pattern: /\d+/})),
+    });
+
+    let ast = expressionParser.parse('(1 + 2) * 3 - 4 / 2').value;
+
+    console.log(JSON.stringify(ast));
+    compile(ast);
+
+    // Output:
+
+    // ["-",["*",["+",1,2],3],["/",4,2]]
+    // (1 + 2) * 3 - 4 / 2
+
+    // Locations: `@1`, ..., and `@$`.
+
+    const program = createLRParser(`
+      Program -> Statement*
+      Statement -> "ID" "=" Value ";" { $$ = {name: $1, value: $3, at: @1, span: @$} }
+      Value -> "ID" | "NUMBER"
+    `, {
+        lexer: new Lexer([
+            {type: 'NUMBER', pattern: /\d+/},
+            {type: 'ID', pattern: /[a-z]+/},
+            {type: '=', pattern: '='},
+            {type: ';', pattern: ';'},
+        ]),
+    });
+
+    let statements = program.parse('x = 1;\n  y = x;').value;
+
+    assert.deepEqual(statements[1].at, {
+        startLine: 2, startColumn: 3, startOffset: 9,
+        endLine: 2, endColumn: 4, endOffset: 10,
+    });
+    assert.deepEqual(statements[1].span, {
+        startLine: 2, startColumn: 3, startOffset: 9,
+        endLine: 2, endColumn: 9, endOffset: 15,
+    });
+
+    // `@1` in the strings, and comments of the action is not a location.
+
+    const described = createLRParser(`
+      S -> "a" { /* @1 */ $$ = "@1 is " + \`\${@1.startColumn}, not @$\` }
+    `);
+
+    assert.equal(described.parse(' a').value, '@1 is 2, not @$');
+
+    // Errors in the action code.
+
+    assert.throws(
+        () => createLRParser('S -> "a" { $$ = ( }'),
+        /Invalid action of production 1 \(S -> "a"\): Unexpected token/
+    );
+
+    // Error recovery: a statement with an error is skipped up to the ";".
+
+    const recovering = createLRParser(`
+      Program -> Statement*
+      Statement -> Expr ";"
+                 | error ";" { $$ = ['error'] }
+      Expr -> Expr "+" "NUMBER" { $$ = ['+', $1, Number($3)] }
+            | "NUMBER" { $$ = Number($1) }
+    `, {
+        lexer: new Lexer([
+            {type: 'NUMBER', pattern: /\d+/},
+            {type: '+', pattern: '+'},
+            {type: ';', pattern: ';'},
+        ]),
+    });
+
+    let recovered = recovering.parse('1 + 2; 3 + + 4; 5; 6 7; 8;');
+
+    console.log(recovered.accepted, JSON.stringify(recovered.value));
+    recovered.diagnostics.forEach(diagnostic => console.log(diagnostic.message));
+
+    // Output:
+
+    // false [["+",1,2],["error"],5,["error"],8]
+    // Parse error, unexpected token: + at 1:12, expected: NUMBER
+    // Parse error, unexpected token: NUMBER at 1:22, expected: ;, +
+
+    // The input ends before the `;` after the error: cannot recover.
+
+    let unfinished = recovering.parse('1; 2 +');
+
+    assert.equal(unfinished.accepted, false);
+    assert.equal(unfinished.tree, null);
+    assert.deepEqual(unfinished.diagnostics.map(diagnostic => diagnostic.found), ['$']);
+
+    // Unexpected characters are recorded, and skipped.
+
+    const withErrors = createLRParser(`
+      Program -> Statement*
+      Statement -> "a" ";" | error ";"
+    `);
+
+    let skipped = withErrors.parse('a; a ? ; a;');
+
+    assert.equal(skipped.accepted, false);
+    assert.deepEqual(skipped.diagnostics.map(diagnostic => diagnostic.message), [
+        'Unexpected character "?" at 1:6',
+    ]);
+    assert.deepEqual(skipped.diagnostics[0].found, '?');
+
+    // The default lexer doesn't match the `error` terminal in the input.
+
+    assert.equal(
+        createLRParser('S -> "a" ";" | error ";"').parse('error;').diagnostics[0].message,
+        'Unexpected character "e" at 1:1'
+    );
+
+    // The quoted `"error"` is a usual terminal, not the reserved one.
+
+    const quoted = createLRParser('S -> "error" ";" | "a" ";"');
+
+    assert(quoted.parse('error;').accepted);
+    assert.throws(() => quoted.parse('a error'), /unexpected token: error at 1:3, expected: ;/);
+
+    // Token types which are the names of `Object.prototype` properties.
+
+    const keywords = createLRParser('S -> "toString" "constructor"');
+
+    assert(keywords.parse('toString constructor').accepted);
+    assert.throws(() => keywords.parse('toString toString'), /unexpected token: toString at 1:10/);
+}
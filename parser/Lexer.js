@@ -0,0 +1,345 @@
+/**
+ * = Lexer =
+ *
+ * The parsers in this project work on a stream of tokens rather than on
+ * raw characters. The lexer (tokenizer) is what converts the source code
+ * into such a stream.
+ *
+ * The lexer is configured with a list of token rules. Each rule has a token
+ * type and a regular expression (or a literal string) matching the token:
+ *
+ *   new Lexer([
+ *     {type: 'NUMBER', pattern: /\d+/},
+ *     {type: '+', pattern: '+'},
+ *   ])
+ *
+ * At each position of the source all the rules are tried, and the longest
+ * match wins (so `==` is preferred over `=`). If several rules match the
+ * same length, the rule defined first wins (so keywords should go before
+ * the identifiers).
+ *
+ * Rules with `skip: true` match the input which is not passed to a parser.
+ * By default whitespace, `// line` and `/* block *\/` comments are skipped.
+ *
+ * Each token is:
+ *
+ *   {type: 'NUMBER', value: '12', line: 1, column: 5, offset: 4}
+ *
+ * and the stream always ends with the `$` token, the end of input marker
+ * used by the parsers.
+ */
+
+/**
+ * Rules skipped by default. The patterns avoid lazy quantifiers, so they
+ * are also supported by the lexer generator (see "LexerGenerator.js").
+ */
+const DEFAULT_SKIP_RULES = [
+    {type: 'WHITESPACE', pattern: /\s+/, skip: true},
+    {type: 'LINE_COMMENT', pattern: /\/\/.*/, skip: true},
+    {type: 'BLOCK_COMMENT', pattern: /\/\*([^*]|\*+[^*\/])*\*+\//, skip: true},
+];
+
+// --------------------------------------------------------------------------
+// 1. Lexer
+// --------------------------------------------------------------------------
+
+class Lexer {
+    /**
+     * Receives a list of token rules, and optionally
+     * a list of the rules to skip (the defaults are used otherwise).
+     */
+    constructor(rules, {skip = DEFAULT_SKIP_RULES} = {}) {
+        this._rules = rules.concat(skip).map(rule => Object.assign({}, rule, {
+            // Sticky regexp matches exactly at the `lastIndex` position.
+            regexp: new RegExp(
+                typeof rule.pattern === 'string'
+                    ? escapeRegExp(rule.pattern)
+                    : rule.pattern.source,
+                'y' + (rule.pattern.flags || '').replace(/[gy]/g, '')
+            ),
+        }));
+    }
+
+    /**
+     * Builds a lexer where each literal is a token, and its type is the
+     * literal itself. E.g. for terminals of a grammar: ['(', ')', '+', 'a'].
+     */
+    static fromLiterals(literals, options) {
+        return new Lexer(
+            literals.map(literal => ({type: literal, pattern: literal})),
+            options
+        );
+    }
+
+    /**
+     * Returns the stream of tokens for the source. With the `onError`
+     * option an unexpected character is reported to it (instead of
+     * throwing), and is skipped.
+     */
+    tokenize(source, {onError = null} = {}) {
+        return new TokenStream({lexer: this, source, onError});
+    }
+
+    /**
+     * Matches a token at the `offset`, returns the longest match:
+     * {rule, value}, or null, if no rule matches.
+     */
+    match(source, offset) {
+        let longest = null;
+
+        this._rules.forEach(rule => {
+            rule.regexp.lastIndex = offset;
+            let matched = rule.regexp.exec(source);
+
+            if (matched && matched[0].length &&
+                (!longest || matched[0].length > longest.value.length)) {
+                longest = {rule, value: matched[0]};
+            }
+        });
+
+        return longest;
+    }
+}
+
+// --------------------------------------------------------------------------
+// 2. TokenStream
+// --------------------------------------------------------------------------
+
+/**
+ * The common interface for the parsers: `peek()` returns the current token,
+ * and `next()` returns it and advances to the next one. The tokens are
+ * scanned lazily, on demand.
+ *
+ * A stream can also be created from an already tokenized input (an array of
+ * tokens, where a token is `{type, value}`, or just a string which is both,
+ * type and value):
+ *
+ *   new TokenStream({tokens: ['print', {type: 'NUMBER', value: '1'}]})
+ *
+ * `mark()`, and `reset(mark)` allow a parser to backtrack.
+ *
+ * An unexpected character is a `SyntaxError` with its position (line,
+ * column, offset), and the `character` itself. If there is the `onError`
+ * callback, it receives the error instead, and the character is skipped.
+ */
+class TokenStream {
+    constructor({lexer = null, source = '', tokens = null, onError = null}) {
+        this._lexer = lexer;
+        this._source = source;
+        this._onError = onError;
+        this._tokens = [];
+        this._index = 0;
+
+        // Scanner position.
+        this._offset = 0;
+        this._line = 1;
+        this._column = 1;
+
+        if (tokens) {
+            this._tokens = tokens.map((token, offset) => typeof token === 'string'
+                ? {type: token, value: token, offset}
+                : Object.assign({value: token.type, offset}, token)
+            );
+            this._tokens.push({type: '$', value: '', offset: tokens.length});
+        }
+    }
+
+    /**
+     * Returns the current token.
+     */
+    peek() {
+        while (this._index >= this._tokens.length) {
+            this._tokens.push(this._scan());
+        }
+        return this._tokens[this._index];
+    }
+
+    /**
+     * Returns the current token, and advances to the next one.
+     * The stream stays at the `$` when the end is reached.
+     */
+    next() {
+        let token = this.peek();
+        if (token.type !== '$') {
+            this._index++;
+        }
+        return token;
+    }
+
+    isEOF() {
+        return this.peek().type === '$';
+    }
+
+    mark() {
+        return this._index;
+    }
+
+    reset(mark) {
+        this._index = mark;
+    }
+
+    /**
+     * Returns all (remaining) tokens, including the `$`.
+     */
+    toArray() {
+        let tokens = [];
+        while (!this.isEOF()) {
+            tokens.push(this.next());
+        }
+        tokens.push(this.peek());
+        return tokens;
+    }
+
+    /**
+     * Scans the next token from the source, skipping
+     * the input matched by the `skip` rules.
+     */
+    _scan() {
+        while (true) {
+            let position = {
+                line: this._line,
+                column: this._column,
+                offset: this._offset,
+            };
+
+            if (this._offset >= this._source.length) {
+                return Object.assign({type: '$', value: ''}, position);
+            }
+
+            let matched = this._lexer.match(this._source, this._offset);
+
+            if (!matched) {
+                let error = new SyntaxError(
+                    `Unexpected character "${this._source[this._offset]}" ` +
+                    `at ${this._line}:${this._column}`
+                );
+                Object.assign(error, position, {character: this._source[this._offset]});
+
+                if (!this._onError) {
+                    throw error;
+                }
+
+                this._onError(error);
+                this._advance(this._source[this._offset]);
+                continue;
+            }
+
+            this._advance(matched.value);
+
+            if (!matched.rule.skip) {
+                return Object.assign(
+                    {type: matched.rule.type, value: matched.value},
+                    position
+                );
+            }
+        }
+    }
+
+    /**
+     * Moves the scanner position, tracking the lines and columns.
+     */
+    _advance(text) {
+        let lines = text.split('\n');
+
+        if (lines.length > 1) {
+            this._line += lines.length - 1;
+            this._column = lines[lines.length - 1].length + 1;
+        } else {
+            this._column += text.length;
+        }
+
+        this._offset += text.length;
+    }
+}
+
+/**
+ * Diagnostic of an unexpected character, in the format of the
+ * diagnostics of the parsers (`{message, position, line, column, found,
+ * expected}`).
+ */
+function lexerDiagnostic(error) {
+    return {
+        message: error.message,
+        position: error.offset,
+        line: error.line,
+        column: error.column,
+        found: error.character,
+        expected: [],
+    };
+}
+
+function escapeRegExp(string) {
+    return string.replace(/[.*+?^${}()|[\]\\\/-]/g, '\\$&');
+}
+
+module.exports = {
+    DEFAULT_SKIP_RULES,
+    Lexer,
+    TokenStream,
+    lexerDiagnostic,
+};
+
+// --------------------------------------------------------------------------
+// 3. Tests (run when the file is executed directly: `node Lexer.js`)
+// --------------------------------------------------------------------------
+
+if (require.main === module) {
+    const assert = require('assert');
+
+    const lexer = new Lexer([
+        {type: 'if', pattern: 'if'},
+        {type: 'ID', pattern: /[a-z]+/},
+        {type: 'NUMBER', pattern: /\d+/},
+        {type: '==', pattern: '=='},
+        {type: '=', pattern: '='},
+    ]);
+
+    const tokens = lexer.tokenize(`
+        // comment
+        if x == 10 /* another
+        comment */ iffy = 1
+    `).toArray();
+
+    console.log(tokens.map(token =>
+        `${token.type}(${token.value}) ${token.line}:${token.column}`
+    ).join('\n'));
+
+    // Output:
+
+    // if(if) 3:9
+    // ID(x) 3:12
+    // ==(==) 3:14
+    // NUMBER(10) 3:17
+    // ID(iffy) 4:20
+    // =(=) 4:25
+    // NUMBER(1) 4:27
+    // $() 5:5
+
+    // peek/next and backtracking.
+
+    const stream = Lexer.fromLiterals(['a', 'b']).tokenize('a b');
+    const start = stream.mark();
+
+    assert(stream.peek().type === 'a');
+    assert(stream.next().type === 'a');
+    assert(stream.next().type === 'b');
+    assert(stream.isEOF());
+
+    stream.reset(start);
+    assert(stream.peek().type === 'a');
+
+    assert.throws(
+        () => Lexer.fromLiterals(['a']).tokenize('a ?').toArray(),
+        /Unexpected character "\?" at 1:3/
+    );
+
+    // The errors are reported to the callback, and the characters skipped.
+
+    const errors = [];
+    const skipped = Lexer.fromLiterals(['a']).tokenize('a ?\n?a', {
+        onError: error => errors.push([error.character, error.line, error.column]),
+    }).toArray();
+
+    assert.deepEqual(skipped.map(token => token.type), ['a', 'a', '$']);
+    assert.deepEqual(errors, [['?', 1, 3], ['?', 2, 1]]);
+}
@@ -0,0 +1,1101 @@
+/**
+ * = Lexer generator =
+ *
+ * Builds a lexer from the token regexps the same way lexer generators
+ * (lex, flex) do it:
+ *
+ *   1. Each regexp is parsed, and converted to an NFA (Thompson's
+ *      construction). The NFAs of all rules are joined into one NFA
+ *      with a new start state, and ε-transitions to the start of each rule.
+ *
+ *   2. The NFA is converted to a DFA (subset construction): a state of
+ *      the DFA is a set of NFA states (ε-closure) we can be in after
+ *      reading some input.
+ *
+ *   3. The DFA is minimized (Hopcroft's algorithm): the states which cannot
+ *      be distinguished by any input are merged. The states accepting
+ *      different tokens are always distinguished.
+ *
+ * The scanner runs the DFA as long as it has transitions, remembering the
+ * last accepting state: this is the longest match. A DFA state can contain
+ * accepting NFA states of several rules (e.g. `if` matches both a keyword,
+ * and an identifier), then the rule defined first wins.
+ *
+ * Example (from the "Dragon book"):
+ *
+ *   (a|b)*abb
+ *
+ *   NFA: 16 states, DFA: 5 states, minimized DFA: 4 states.
+ *
+ * Transitions of the automata are labeled with character classes. All the
+ * character sets used in the regexps are split into disjoint ranges (e.g.
+ * `[a-z]` and `[0-9a-f]` give `0-9`, `a-f`, and `g-z`), and these ranges are
+ * the alphabet of the DFA.
+ *
+ * Supported regexp syntax: characters, escapes (`\d`, `\w`, `\s`, `\n`,
+ * `\xHH`, `\uHHHH`, etc.), character classes (`[a-z]`, `[^"]`), `.`,
+ * groups, `|`, and the `*`, `+`, `?` quantifiers. Anchors, back references,
+ * lookaheads, lazy and counted quantifiers are not supported.
+ *
+ * Flags: `i` (the letters of the sets get their other case), and `s` (`.`
+ * matches line terminators too). `g`, `y`, `m`, and `d` make no difference
+ * for the lexer, other flags (`u`, `v`) are not supported, and are errors:
+ * the generated lexer should match the same tokens as the `Lexer`.
+ *
+ * The generated lexer has the same interface as the `Lexer` (see "Lexer.js"),
+ * and is used with any parser in the same way:
+ *
+ *   let lexer = new LexerGenerator([
+ *     {type: 'NUMBER', pattern: /\d+/},
+ *     {type: '+', pattern: '+'},
+ *   ]).generate();
+ *
+ *   lexer.tokenize('1 + 2');
+ */
+
+const {DEFAULT_SKIP_RULES, TokenStream} = require('./Lexer.js');
+
+/**
+ * Max character code (the regexps work on UTF-16 code units).
+ */
+const MAX_CHAR = 0xFFFF;
+
+// --------------------------------------------------------------------------
+// 1. Character sets
+// --------------------------------------------------------------------------
+
+/**
+ * A character set is a sorted list of disjoint ranges of
+ * character codes: [[48, 57], [97, 122]] is `[0-9a-z]`.
+ */
+function normalizeSet(ranges) {
+    let sorted = ranges.slice().sort((a, b) => a[0] - b[0]);
+    let result = [];
+
+    sorted.forEach(range => {
+        let last = result[result.length - 1];
+        if (last && range[0] <= last[1] + 1) {
+            last[1] = Math.max(last[1], range[1]);
+        } else {
+            result.push([range[0], range[1]]);
+        }
+    });
+
+    return result;
+}
+
+function negateSet(ranges) {
+    let result = [];
+    let from = 0;
+
+    normalizeSet(ranges).forEach(range => {
+        if (range[0] > from) {
+            result.push([from, range[0] - 1]);
+        }
+        from = range[1] + 1;
+    });
+
+    if (from <= MAX_CHAR) {
+        result.push([from, MAX_CHAR]);
+    }
+
+    return result;
+}
+
+function charSet(char) {
+    let code = char.charCodeAt(0);
+    return [[code, code]];
+}
+
+const DIGIT_SET = [[48, 57]];
+const WORD_SET = normalizeSet([[48, 57], [65, 90], [95, 95], [97, 122]]);
+const SPACE_SET = normalizeSet([
+    [9, 13], [32, 32], [0xA0, 0xA0], [0x1680, 0x1680], [0x2000, 0x200A],
+    [0x2028, 0x2029], [0x202F, 0x202F], [0x205F, 0x205F], [0x3000, 0x3000],
+    [0xFEFF, 0xFEFF],
+]);
+
+// `.` is any character except line terminators.
+const DOT_SET = negateSet([[10, 10], [13, 13], [0x2028, 0x2029]]);
+const ANY_SET = [[0, MAX_CHAR]];
+
+/**
+ * The set with the other case of its letters, for the `i` flag. As in
+ * the regexps (without the `u` flag), two characters are the same if their
+ * upper case is the same, but a non-ASCII character is never the same as
+ * an ASCII one (`ſ` is not `s`, though its upper case is `S`).
+ */
+function caseFoldSet(ranges) {
+    let added = [];
+
+    ranges.forEach(([from, to]) => {
+        for (let code = from; code <= to; code++) {
+            let char = String.fromCharCode(code);
+
+            [char.toUpperCase(), char.toLowerCase()].forEach(other => {
+                if (other.length === 1 && other !== char &&
+                    canonicalize(other) === canonicalize(char)) {
+                    added.push(...charSet(other));
+                }
+            });
+        }
+    });
+
+    return normalizeSet(ranges.concat(added));
+}
+
+function canonicalize(char) {
+    let upper = char.toUpperCase();
+
+    if (upper.length !== 1 || (char.charCodeAt(0) > 127 && upper.charCodeAt(0) <= 127)) {
+        return char;
+    }
+    return upper;
+}
+
+/**
+ * Readable label of a character set: `a-z`, `"`, `\n`.
+ */
+function printSet(ranges) {
+    let printChar = code => JSON.stringify(String.fromCharCode(code)).slice(1, -1);
+
+    return ranges.map(range => range[0] === range[1]
+        ? printChar(range[0])
+        : `${printChar(range[0])}-${printChar(range[1])}`
+    ).join('');
+}
+
+// --------------------------------------------------------------------------
+// 2. RegExp parser
+// --------------------------------------------------------------------------
+
+/**
+ * A recursive descent parser of a regexp, which builds the AST:
+ *
+ *   {type: 'Char', set: [[97, 97]]}
+ *   {type: 'Concat', parts: [...]}
+ *   {type: 'Alternative', options: [...]}
+ *   {type: 'Repeat', kind: '*' | '+' | '?', expression: {...}}
+ *   {type: 'Empty'}
+ *
+ * Grammar:
+ *
+ *   Alternative -> Concat ("|" Concat)*
+ *   Concat      -> Repeat*
+ *   Repeat      -> Atom ("*" | "+" | "?")*
+ *   Atom        -> "(" Alternative ")" | "[" Class "]" | "." | Escape | Char
+ */
+class RegExpParser {
+    constructor(source, flags = '') {
+        this._source = source;
+        this._cursor = 0;
+
+        flags.split('').forEach(flag => {
+            if ('gimsyd'.indexOf(flag) === -1) {
+                throw new SyntaxError(`The "${flag}" flag is not supported in /${source}/${flags}`);
+            }
+        });
+
+        this._ignoreCase = flags.indexOf('i') !== -1;
+        this._dotAll = flags.indexOf('s') !== -1;
+    }
+
+    parse() {
+        let expression = this._alternative();
+
+        if (this._cursor !== this._source.length) {
+            this._error(`Unexpected "${this._peek()}"`);
+        }
+
+        return expression;
+    }
+
+    _alternative() {
+        let options = [this._concat()];
+
+        while (this._peek() === '|') {
+            this._cursor++;
+            options.push(this._concat());
+        }
+
+        return options.length === 1
+            ? options[0]
+            : {type: 'Alternative', options};
+    }
+
+    _concat() {
+        let parts = [];
+
+        while (this._cursor < this._source.length &&
+               this._peek() !== '|' && this._peek() !== ')') {
+            parts.push(this._repeat());
+        }
+
+        if (!parts.length) {
+            return {type: 'Empty'};
+        }
+
+        return parts.length === 1 ? parts[0] : {type: 'Concat', parts};
+    }
+
+    _repeat() {
+        let expression = this._atom();
+
+        while ('*+?'.indexOf(this._peek()) !== -1) {
+            let kind = this._source[this._cursor++];
+
+            if (this._peek() === '?') {
+                this._error('Lazy quantifiers are not supported');
+            }
+
+            expression = {type: 'Repeat', kind, expression};
+        }
+
+        if (this._peek() === '{' && /^\{\d+(,\d*)?\}/.test(this._rest())) {
+            this._error('Counted quantifiers are not supported');
+        }
+
+        return expression;
+    }
+
+    _atom() {
+        let char = this._source[this._cursor++];
+
+        switch (char) {
+            case '(': {
+                if (this._rest().startsWith('?:')) {
+                    this._cursor += 2;
+                } else if (this._peek() === '?') {
+                    this._error('Lookaheads are not supported');
+                }
+                let expression = this._alternative();
+                this._expect(')');
+                return expression;
+            }
+
+            case '[':
+                return {type: 'Char', set: this._class()};
+
+            case '.':
+                return {type: 'Char', set: this._dotAll ? ANY_SET : DOT_SET};
+
+            case '\\':
+                return {type: 'Char', set: this._fold(this._escape())};
+
+            case '^':
+            case '$':
+                this._cursor--;
+                return this._error('Anchors are not supported');
+
+            case '*':
+            case '+':
+            case '?':
+                this._cursor--;
+                return this._error('Nothing to repeat');
+
+            default:
+                return {type: 'Char', set: this._fold(charSet(char))};
+        }
+    }
+
+    /**
+     * With the `i` flag, the set with the other case of the letters.
+     */
+    _fold(set) {
+        return this._ignoreCase ? caseFoldSet(set) : set;
+    }
+
+    /**
+     * Character class: [a-z_], [^"\\].
+     */
+    _class() {
+        let negated = false;
+        let ranges = [];
+
+        if (this._peek() === '^') {
+            negated = true;
+            this._cursor++;
+        }
+
+        while (this._peek() !== ']') {
+            if (this._cursor >= this._source.length) {
+                this._error('Unterminated character class');
+            }
+
+            let from = this._classAtom();
+
+            if (this._peek() === '-' && this._source[this._cursor + 1] !== ']' &&
+                from.length === 1 && from[0][0] === from[0][1]) {
+                this._cursor++;
+                let to = this._classAtom();
+                ranges.push([from[0][0], to[0][1]]);
+            } else {
+                ranges.push(...from);
+            }
+        }
+
+        this._cursor++;
+
+        // `[^a]` with the `i` flag doesn't match `A` either.
+        let set = this._fold(normalizeSet(ranges));
+        return negated ? negateSet(set) : set;
+    }
+
+    _classAtom() {
+        let char = this._source[this._cursor++];
+        if (char === '\\') {
+            return this._escape();
+        }
+        return charSet(char);
+    }
+
+    _escape() {
+        let char = this._source[this._cursor++];
+
+        switch (char) {
+            case 'd': return DIGIT_SET;
+            case 'D': return negateSet(DIGIT_SET);
+            case 'w': return WORD_SET;
+            case 'W': return negateSet(WORD_SET);
+            case 's': return SPACE_SET;
+            case 'S': return negateSet(SPACE_SET);
+            case 'n': return charSet('\n');
+            case 'r': return charSet('\r');
+            case 't': return charSet('\t');
+            case 'f': return charSet('\f');
+            case 'v': return charSet('\v');
+            case '0': return charSet('\0');
+            case 'x': return this._hex(2);
+            case 'u': return this._hex(4);
+            case 'b':
+            case 'B':
+                this._cursor -= 2;
+                return this._error('Anchors are not supported');
+            case undefined:
+                return this._error('Unterminated escape');
+            default:
+                if (/[1-9]/.test(char)) {
+                    this._cursor -= 2;
+                    this._error('Back references are not supported');
+                }
+                return charSet(char);
+        }
+    }
+
+    _hex(length) {
+        let digits = this._source.substr(this._cursor, length);
+
+        if (!new RegExp(`^[0-9a-fA-F]{${length}}$`).test(digits)) {
+            this._error('Invalid escape');
+        }
+
+        this._cursor += length;
+        let code = parseInt(digits, 16);
+        return [[code, code]];
+    }
+
+    _peek() {
+        return this._source[this._cursor];
+    }
+
+    _rest() {
+        return this._source.slice(this._cursor);
+    }
+
+    _expect(char) {
+        if (this._peek() !== char) {
+            this._error(`Expected "${char}"`);
+        }
+        this._cursor++;
+    }
+
+    _error(message) {
+        throw new SyntaxError(
+            `${message} at position ${this._cursor} in /${this._source}/`
+        );
+    }
+}
+
+/**
+ * AST of a literal string: concatenation of its characters.
+ */
+function literalToAST(literal) {
+    let parts = literal.split('').map(char => ({type: 'Char', set: charSet(char)}));
+    return parts.length === 1 ? parts[0] : {type: 'Concat', parts};
+}
+
+// --------------------------------------------------------------------------
+// 3. NFA
+// --------------------------------------------------------------------------
+
+/**
+ * NFA state: ε-transitions, transitions on character sets, and the
+ * number of the rule, if the state is accepting.
+ */
+class NFAState {
+    constructor(number) {
+        this.number = number;
+        this.epsilonTransitions = [];
+        this.transitions = [];
+        this.acceptingRule = null;
+    }
+}
+
+class NFA {
+    constructor() {
+        this._states = [];
+        this._startState = this._newState();
+    }
+
+    getStates() {
+        return this._states;
+    }
+
+    getStartState() {
+        return this._startState;
+    }
+
+    /**
+     * Adds the regexp of a rule, the end state of the rule's
+     * fragment accepts the rule.
+     */
+    addRule(ast, ruleNumber) {
+        let fragment = this._build(ast);
+        fragment.end.acceptingRule = ruleNumber;
+        this._startState.epsilonTransitions.push(fragment.start);
+    }
+
+    _newState() {
+        let state = new NFAState(this._states.length);
+        this._states.push(state);
+        return state;
+    }
+
+    /**
+     * Thompson's construction: each AST node is a fragment
+     * with one start, and one end state.
+     */
+    _build(node) {
+        let start = this._newState();
+        let end;
+
+        switch (node.type) {
+            case 'Empty':
+                end = this._newState();
+                start.epsilonTransitions.push(end);
+                break;
+
+            // start --set--> end
+            case 'Char':
+                end = this._newState();
+                start.transitions.push({set: node.set, to: end});
+                break;
+
+            // start -ε-> first ... last -ε-> end
+            case 'Concat': {
+                let current = start;
+                node.parts.forEach(part => {
+                    let fragment = this._build(part);
+                    current.epsilonTransitions.push(fragment.start);
+                    current = fragment.end;
+                });
+                end = current;
+                break;
+            }
+
+            // start -ε-> each option -ε-> end
+            case 'Alternative':
+                end = this._newState();
+                node.options.forEach(option => {
+                    let fragment = this._build(option);
+                    start.epsilonTransitions.push(fragment.start);
+                    fragment.end.epsilonTransitions.push(end);
+                });
+                break;
+
+            // `*`: skip, or loop; `+`: loop; `?`: skip.
+            case 'Repeat': {
+                let fragment = this._build(node.expression);
+                end = this._newState();
+
+                start.epsilonTransitions.push(fragment.start);
+                fragment.end.epsilonTransitions.push(end);
+
+                if (node.kind !== '+') {
+                    start.epsilonTransitions.push(end);
+                }
+
+                if (node.kind !== '?') {
+                    fragment.end.epsilonTransitions.push(fragment.start);
+                }
+                break;
+            }
+        }
+
+        return {start, end};
+    }
+
+    /**
+     * All the states reachable from the given ones by ε-transitions.
+     */
+    epsilonClosure(states) {
+        let closure = new Set(states);
+        let stack = [...states];
+
+        while (stack.length) {
+            stack.pop().epsilonTransitions.forEach(state => {
+                if (!closure.has(state)) {
+                    closure.add(state);
+                    stack.push(state);
+                }
+            });
+        }
+
+        return closure;
+    }
+
+    /**
+     * Splits all the character sets used in the transitions into
+     * disjoint ranges: the alphabet of the DFA.
+     */
+    getCharClasses() {
+        let boundaries = new Set();
+
+        this._states.forEach(state => {
+            state.transitions.forEach(transition => {
+                transition.set.forEach(range => {
+                    boundaries.add(range[0]);
+                    boundaries.add(range[1] + 1);
+                });
+            });
+        });
+
+        let points = [...boundaries].sort((a, b) => a - b);
+        let classes = [];
+
+        for (let i = 0; i < points.length - 1; i++) {
+            let range = [points[i], points[i + 1] - 1];
+            if (this._isUsed(range)) {
+                classes.push(range);
+            }
+        }
+
+        return classes;
+    }
+
+    _isUsed(range) {
+        return this._states.some(state => state.transitions.some(
+            transition => setContains(transition.set, range[0])
+        ));
+    }
+
+    toString() {
+        return this._states.map(state => {
+            let lines = [`State ${state.number}` + (
+                state.acceptingRule !== null
+                    ? ` (accepts rule ${state.acceptingRule})`
+                    : ''
+            ) + ':'];
+            state.epsilonTransitions.forEach(to => {
+                lines.push(`  ε -> ${to.number}`);
+            });
+            state.transitions.forEach(transition => {
+                lines.push(`  [${printSet(transition.set)}] -> ${transition.to.number}`);
+            });
+            return lines.join('\n');
+        }).join('\n');
+    }
+}
+
+function setContains(ranges, code) {
+    return ranges.some(range => code >= range[0] && code <= range[1]);
+}
+
+// --------------------------------------------------------------------------
+// 4. DFA
+// --------------------------------------------------------------------------
+
+/**
+ * DFA state: transitions by the character class index, and the number of
+ * the accepted rule (the one with the highest priority), or null.
+ */
+class DFAState {
+    constructor(number, acceptingRule) {
+        this.number = number;
+        this.acceptingRule = acceptingRule;
+        this.transitions = {};
+    }
+}
+
+class DFA {
+    constructor({states, charClasses, rules}) {
+        this._states = states;
+        this._charClasses = charClasses;
+        this._rules = rules;
+    }
+
+    /**
+     * Subset construction.
+     */
+    static fromNFA(nfa, rules) {
+        let charClasses = nfa.getCharClasses();
+        let states = [];
+        let statesByKey = {};
+        let worklist = [];
+
+        let getState = nfaStates => {
+            let key = [...nfaStates].map(state => state.number)
+                .sort((a, b) => a - b)
+                .join(',');
+
+            if (!statesByKey.hasOwnProperty(key)) {
+                let acceptingRules = [...nfaStates]
+                    .filter(state => state.acceptingRule !== null)
+                    .map(state => state.acceptingRule);
+
+                let state = new DFAState(
+                    states.length,
+                    // Rule priority: the first defined rule wins.
+                    acceptingRules.length ? Math.min(...acceptingRules) : null
+                );
+
+                statesByKey[key] = state;
+                states.push(state);
+                worklist.push({state, nfaStates});
+            }
+
+            return statesByKey[key];
+        };
+
+        getState(nfa.epsilonClosure([nfa.getStartState()]));
+
+        while (worklist.length) {
+            let {state, nfaStates} = worklist.shift();
+
+            charClasses.forEach((charClass, classIndex) => {
+                let moved = [];
+
+                nfaStates.forEach(nfaState => {
+                    nfaState.transitions.forEach(transition => {
+                        if (setContains(transition.set, charClass[0])) {
+                            moved.push(transition.to);
+                        }
+                    });
+                });
+
+                if (moved.length) {
+                    state.transitions[classIndex] = getState(nfa.epsilonClosure(moved));
+                }
+            });
+        }
+
+        return new DFA({states, charClasses, rules});
+    }
+
+    getStates() {
+        return this._states;
+    }
+
+    getStartState() {
+        return this._states[0];
+    }
+
+    getCharClasses() {
+        return this._charClasses;
+    }
+
+    /**
+     * Hopcroft's algorithm. The initial partition groups the states
+     * by the accepted rule (non-accepting states are a group too), then
+     * the groups are split while some input distinguishes their states.
+     *
+     * The DFA is made complete with an implicit "dead" state, which is
+     * dropped from the result.
+     */
+    minimize() {
+        let DEAD = this._states.length;
+        let allStates = this._states.map(state => state.number).concat(DEAD);
+        let classCount = this._charClasses.length;
+
+        let target = (state, classIndex) => {
+            if (state === DEAD) {
+                return DEAD;
+            }
+            let to = this._states[state].transitions[classIndex];
+            return to ? to.number : DEAD;
+        };
+
+        // Inverse transitions: inverse[classIndex][to] = [from, ...].
+        let inverse = [];
+        for (let c = 0; c < classCount; c++) {
+            inverse[c] = {};
+            allStates.forEach(state => {
+                let to = target(state, c);
+                (inverse[c][to] || (inverse[c][to] = [])).push(state);
+            });
+        }
+
+        let acceptingRule = state => state === DEAD
+            ? null
+            : this._states[state].acceptingRule;
+
+        // Initial partition.
+        let groups = {};
+        allStates.forEach(state => {
+            let key = String(acceptingRule(state));
+            (groups[key] || (groups[key] = [])).push(state);
+        });
+
+        let partition = Object.keys(groups).map(key => new Set(groups[key]));
+        let worklist = partition.slice();
+
+        while (worklist.length) {
+            let splitter = worklist.pop();
+
+            for (let c = 0; c < classCount; c++) {
+                // States which go to the splitter on this class.
+                let predecessors = new Set();
+                splitter.forEach(state => {
+                    (inverse[c][state] || []).forEach(from => predecessors.add(from));
+                });
+
+                if (!predecessors.size) {
+                    continue;
+                }
+
+                partition = [].concat(...partition.map(group => {
+                    let inside = [...group].filter(state => predecessors.has(state));
+
+                    if (!inside.length || inside.length === group.size) {
+                        return [group];
+                    }
+
+                    let first = new Set(inside);
+                    let second = new Set([...group].filter(state => !first.has(state)));
+
+                    let index = worklist.indexOf(group);
+                    if (index !== -1) {
+                        worklist.splice(index, 1, first, second);
+                    } else {
+                        worklist.push(first.size <= second.size ? first : second);
+                    }
+
+                    return [first, second];
+                }));
+            }
+        }
+
+        return this._fromPartition(partition, DEAD, target);
+    }
+
+    /**
+     * Builds the minimized DFA: one state per group, the group of
+     * the start state (number 0) goes first, and is the new start state.
+     */
+    _fromPartition(partition, DEAD, target) {
+        let groups = partition
+            .filter(group => !group.has(DEAD))
+            .sort((a, b) => Math.min(...a) - Math.min(...b));
+
+        let groupOf = {};
+        let states = groups.map((group, number) => {
+            group.forEach(state => groupOf[state] = number);
+            return new DFAState(
+                number,
+                this._states[[...group][0]].acceptingRule
+            );
+        });
+
+        groups.forEach((group, number) => {
+            let representative = [...group][0];
+            this._charClasses.forEach((charClass, classIndex) => {
+                let to = target(representative, classIndex);
+                if (to !== DEAD) {
+                    states[number].transitions[classIndex] = states[groupOf[to]];
+                }
+            });
+        });
+
+        return new DFA({
+            states,
+            charClasses: this._charClasses,
+            rules: this._rules,
+        });
+    }
+
+    /**
+     * Index of the character class containing the code,
+     * or -1 (binary search, the classes are sorted).
+     */
+    classOf(code) {
+        let low = 0;
+        let high = this._charClasses.length - 1;
+
+        while (low <= high) {
+            let middle = (low + high) >> 1;
+            let charClass = this._charClasses[middle];
+
+            if (code < charClass[0]) {
+                high = middle - 1;
+            } else if (code > charClass[1]) {
+                low = middle + 1;
+            } else {
+                return middle;
+            }
+        }
+
+        return -1;
+    }
+
+    toString() {
+        return this._states.map(state => {
+            let lines = [`State ${state.number}` + (
+                state.acceptingRule !== null
+                    ? ` (accepts ${this._rules[state.acceptingRule].type})`
+                    : ''
+            ) + ':'];
+            for (let classIndex in state.transitions) {
+                lines.push(
+                    `  [${printSet([this._charClasses[classIndex]])}] -> ` +
+                    state.transitions[classIndex].number
+                );
+            }
+            return lines.join('\n');
+        }).join('\n');
+    }
+}
+
+// --------------------------------------------------------------------------
+// 5. LexerGenerator
+// --------------------------------------------------------------------------
+
+/**
+ * Receives token rules in the same format as the `Lexer` (see "Lexer.js"),
+ * and builds the automata. The `generate()` method returns the lexer.
+ */
+class LexerGenerator {
+    constructor(rules, {skip = DEFAULT_SKIP_RULES} = {}) {
+        this._rules = rules.concat(skip);
+        this._nfa = null;
+        this._dfa = null;
+        this._minimizedDFA = null;
+    }
+
+    getRules() {
+        return this._rules;
+    }
+
+    getNFA() {
+        if (!this._nfa) {
+            this._nfa = new NFA();
+            this._rules.forEach((rule, ruleNumber) => {
+                this._nfa.addRule(
+                    typeof rule.pattern === 'string'
+                        ? literalToAST(rule.pattern)
+                        : new RegExpParser(rule.pattern.source, rule.pattern.flags).parse(),
+                    ruleNumber
+                );
+            });
+        }
+        return this._nfa;
+    }
+
+    getDFA() {
+        if (!this._dfa) {
+            this._dfa = DFA.fromNFA(this.getNFA(), this._rules);
+        }
+        return this._dfa;
+    }
+
+    getMinimizedDFA() {
+        if (!this._minimizedDFA) {
+            this._minimizedDFA = this.getDFA().minimize();
+        }
+        return this._minimizedDFA;
+    }
+
+    generate() {
+        return new GeneratedLexer(this.getMinimizedDFA(), this._rules);
+    }
+}
+
+/**
+ * The lexer which runs the DFA.
+ */
+class GeneratedLexer {
+    constructor(dfa, rules) {
+        this._dfa = dfa;
+        this._rules = rules;
+    }
+
+    getDFA() {
+        return this._dfa;
+    }
+
+    /**
+     * Returns the stream of tokens for the source, the options are
+     * as of `Lexer#tokenize`.
+     */
+    tokenize(source, {onError = null} = {}) {
+        return new TokenStream({lexer: this, source, onError});
+    }
+
+    /**
+     * Runs the DFA from the `offset` while there are transitions, and
+     * returns the longest match: {rule, value}, or null, if no rule matches.
+     */
+    match(source, offset) {
+        let state = this._dfa.getStartState();
+        let lastAccepted = null;
+
+        for (let position = offset; ; position++) {
+            if (state.acceptingRule !== null && position > offset) {
+                lastAccepted = {rule: state.acceptingRule, end: position};
+            }
+
+            if (position === source.length) {
+                break;
+            }
+
+            let classIndex = this._dfa.classOf(source.charCodeAt(position));
+            state = classIndex !== -1 && state.transitions[classIndex];
+
+            if (!state) {
+                break;
+            }
+        }
+
+        if (!lastAccepted) {
+            return null;
+        }
+
+        return {
+            rule: this._rules[lastAccepted.rule],
+            value: source.slice(offset, lastAccepted.end),
+        };
+    }
+}
+
+module.exports = {
+    DFA,
+    GeneratedLexer,
+    LexerGenerator,
+    NFA,
+    RegExpParser,
+};
+
+// --------------------------------------------------------------------------
+// 6. Tests (run when the file is executed directly: `node LexerGenerator.js`)
+// --------------------------------------------------------------------------
+
+if (require.main === module) {
+    const assert = require('assert');
+    const {Lexer} = require('./Lexer.js');
+
+    // The "Dragon book" example.
+
+    const abb = new LexerGenerator([{type: 'ABB', pattern: /(a|b)*abb/}], {
+        skip: [],
+    });
+
+    console.log(
+        abb.getNFA().getStates().length,
+        abb.getDFA().getStates().length,
+        abb.getMinimizedDFA().getStates().length
+    );
+
+    console.log(abb.getMinimizedDFA().toString());
+
+    // Output:
+
+    // 16 5 4
+    // State 0:
+    //   [a] -> 1
+    //   [b] -> 0
+    // State 1:
+    //   [a] -> 1
+    //   [b] -> 2
+    // State 2:
+    //   [a] -> 1
+    //   [b] -> 3
+    // State 3 (accepts ABB):
+    //   [a] -> 1
+    //   [b] -> 0
+
+    // Longest match, and rule priority: the same tokens as the `Lexer`.
+
+    const rules = [
+        {type: 'if', pattern: 'if'},
+        {type: 'ID', pattern: /[a-z_]\w*/},
+        {type: 'NUMBER', pattern: /\d+(\.\d+)?/},
+        {type: 'STRING', pattern: /"([^"\\]|\\.)*"/},
+        {type: '==', pattern: '=='},
+        {type: '=', pattern: '='},
+    ];
+
+    const source = `
+        // comment
+        if x == 1.5 /* another
+        comment */ iffy = "a \\" b"
+    `;
+
+    const generated = new LexerGenerator(rules).generate();
+
+    const toString = tokens => tokens.map(token =>
+        `${token.type}(${token.value}) ${token.line}:${token.column}`
+    ).join('\n');
+
+    console.log(toString(generated.tokenize(source).toArray()));
+
+    assert.equal(
+        toString(generated.tokenize(source).toArray()),
+        toString(new Lexer(rules).tokenize(source).toArray())
+    );
+
+    // Output:
+
+    // if(if) 3:9
+    // ID(x) 3:12
+    // ==(==) 3:14
+    // NUMBER(1.5) 3:17
+    // ID(iffy) 4:20
+    // =(=) 4:25
+    // STRING("a \" b") 4:27
+    // $() 5:5
+
+    assert.throws(
+        () => new RegExpParser('a*?').parse(),
+        /Lazy quantifiers are not supported at position 2/
+    );
+
+    // Flags: case-insensitive keywords, and `.` with the `s` flag.
+
+    const flagged = [
+        {type: 'SELECT', pattern: /select/i},
+        {type: 'ID', pattern: /[a-z]+/i},
+        {type: 'NOT_A', pattern: /[^a\s]/i},
+        {type: 'COMMENT', pattern: /#.#/s},
+    ];
+
+    const query = 'SELECT Sel selected sELECT #\n# 1';
+
+    assert.equal(
+        toString(new LexerGenerator(flagged).generate().tokenize(query).toArray()),
+        toString(new Lexer(flagged).tokenize(query).toArray())
+    );
+
+    assert.deepEqual(
+        new LexerGenerator(flagged).generate().tokenize(query).toArray().map(token => token.type),
+        ['SELECT', 'ID', 'ID', 'SELECT', 'COMMENT', 'NOT_A', '$']
+    );
+
+    assert.equal(
+        new LexerGenerator([{type: 'NOT_A', pattern: /[^a]/i}]).generate().match('A', 0),
+        null
+    );
+
+    assert.throws(
+        () => new LexerGenerator([{type: 'X', pattern: /x/u}]).generate(),
+        /The "u" flag is not supported in \/x\/u/
+    );
+}
@@ -44,23 +44,49 @@
  *   1. Scan all non-terminals in the grammar, and put their derivations under
  *      the columns which are in the First set of the RHS for this non-terminal.
  *
- *   2. If this non-terminal has `ε` (epsilon, "empty" symbol) as one of its
- *      derivations, then put the corresponding ε-derivation into the columns
- *      which are in the Follow set of this non-terminal.
+ *   2. If the RHS can derive `ε` (epsilon, "empty" symbol), i.e. it's
+ *      either `ε` itself, or all its symbols can derive `ε`, then put the
+ *      derivation also into the columns which are in the Follow set of
+ *      this non-terminal.
  *
  * Let's see it on the implementation.
  */
 
-// Special "empty" symbol.
-let EPSILON = 'ε';
+const {EPSILON, getLHS, getRHS} = require('./first and follow.js');
 
 /**
  * Given a grammar builds a LL(1) parsing table based on the
  * First and Follow sets of this grammar.
+ *
+ * If two productions compete for the same cell, the grammar is not LL(1).
+ * All such conflicts are collected, and `LL1ConflictError` is thrown, which
+ * contains the conflicts, and the table itself (where a conflicting cell
+ * keeps the first of the competing productions).
  */
 function buildParsingTable(grammar, firstSets, followSets) {
     let parsingTable = {};
 
+    // For each cell we record all productions which were put there,
+    // and the set they came from: `FIRST` or `FOLLOW` (no prototype, so
+    // the terminals like `toString` are not found in it).
+    let entries = Object.create(null);
+
+    function addEntry(LHS, terminal, productionNumber, source) {
+        if (!entries[LHS][terminal]) {
+            entries[LHS][terminal] = [];
+            parsingTable[LHS][terminal] = productionNumber;
+        }
+
+        // A nullable RHS can start with a terminal from the Follow set
+        // too (`X -> Y`, where `Y -> a | ε`): the same production is
+        // not a conflict with itself.
+        if (entries[LHS][terminal].some(entry => entry.productionNumber === productionNumber)) {
+            return;
+        }
+
+        entries[LHS][terminal].push({productionNumber, source});
+    }
+
     for (let k in grammar) {
         let production = grammar[k];
         let LHS = getLHS(production);
@@ -68,165 +94,360 @@ function buildParsingTable(grammar, firstSets, followSets) {
         let productionNumber = Number(k);
 
         // Init columns for this non-terminal.
-        if (!parsingTable[LHS]) {
+        if (!entries[LHS]) {
             parsingTable[LHS] = {};
+            entries[LHS] = Object.create(null);
         }
 
-        // All productions goes under the terminal column, if
-        // this terminal is not epsilon.
-        if (RHS !== EPSILON) {
-            getFirstSetOfRHS(RHS, firstSets).forEach(function(terminal) {
-                parsingTable[LHS][terminal] = productionNumber;
-            });
-        } else {
-            // Otherwise, this ε-production goes under the columns from
-            // the Follow set.
+        let firstOfRHS = getFirstSetOfRHS(RHS, firstSets);
+
+        // All productions goes under the terminal columns
+        // from the First set of the RHS.
+        firstOfRHS.forEach(function(terminal) {
+            if (terminal !== EPSILON) {
+                addEntry(LHS, terminal, productionNumber, 'FIRST');
+            }
+        });
+
+        // If the RHS can be epsilon, the production also goes
+        // under the columns from the Follow set.
+        if (firstOfRHS.indexOf(EPSILON) !== -1) {
             followSets[LHS].forEach(function(terminal) {
-                parsingTable[LHS][terminal] = productionNumber;
+                addEntry(LHS, terminal, productionNumber, 'FOLLOW');
             });
         }
     }
 
+    let conflicts = getConflicts(entries);
+
+    if (conflicts.length) {
+        throw new LL1ConflictError(conflicts, parsingTable);
+    }
+
     return parsingTable;
 }
 
 /**
- * Given production `S -> F`, returns `S`.
+ * Extracts conflicts from the table entries. A conflict is:
+ *
+ *   {
+ *     nonTerminal: 'S',
+ *     terminal: 'a',
+ *     productions: [1, 2],
+ *     kind: 'FIRST/FIRST',
+ *   }
+ *
+ * `FIRST/FIRST` -- the First sets of the alternatives intersect,
+ * `FIRST/FOLLOW` -- the First set of one alternative intersects with
+ * the Follow set of the non-terminal, which is used by an ε-alternative
+ * (two ε-alternatives are also reported as `FIRST/FOLLOW`).
  */
-function getLHS(production) {
-    return production.split('->')[0].replace(/\s+/g, '');
+function getConflicts(entries) {
+    let conflicts = [];
+
+    for (let nonTerminal in entries) {
+        for (let terminal in entries[nonTerminal]) {
+            let cell = entries[nonTerminal][terminal];
+
+            if (cell.length < 2) {
+                continue;
+            }
+
+            let isFirstFirst = cell.every(entry => entry.source === 'FIRST');
+
+            conflicts.push({
+                nonTerminal,
+                terminal,
+                productions: cell.map(entry => entry.productionNumber),
+                kind: isFirstFirst ? 'FIRST/FIRST' : 'FIRST/FOLLOW',
+            });
+        }
+    }
+
+    return conflicts;
 }
 
 /**
- * Given production `S -> F`, returns `F`.
+ * First/Follow builders store sets as {a: true, ...} objects,
+ * while the table builder works with arrays of terminals.
  */
-function getRHS(production) {
-    return production.split('->')[1].replace(/\s+/g, '');
+function toArraySets(sets) {
+    let arraySets = Object.create(null);
+    for (let k in sets) {
+        arraySets[k] = Object.keys(sets[k]);
+    }
+    return arraySets;
 }
 
 /**
- * Returns First set of RHS.
+ * Structured error for a non-LL(1) grammar.
  */
-function getFirstSetOfRHS(RHS, firstSets) {
-
-    // For simplicity, in this educational parser, we assume that
-    // the first symbol (if it's a non-terminal) cannot produces `ε`.
-    // Since in real parser, we need to get the First set of the whole RHS.
-    // This means, that if `B` in the production `X -> BC` can be `ε`, then
-    // the First set should of course include First(C) as well, i.e. RHS[1], etc.
-    //
-    // That is, in a real parser, one usually combines steps of building a
-    // parsing table, First and Follow sets in one step: when a parsing table
-    // needs the First set of a RHS, it's calculated in place.
-    //
-    // But here we just return First of RHS[0].
-    //
-
-    return firstSets[RHS[0]];
+class LL1ConflictError extends Error {
+    constructor(conflicts, table) {
+        super(
+            'Grammar is not LL(1):\n' +
+            conflicts.map(conflict =>
+                `  ${conflict.kind} conflict at [${conflict.nonTerminal}, ` +
+                `${conflict.terminal}]: productions ` +
+                conflict.productions.join(', ')
+            ).join('\n')
+        );
+        this.name = 'LL1ConflictError';
+        this.conflicts = conflicts;
+        this.table = table;
+    }
 }
 
-// Testing
-
-// ----------------------------------------------------------------------
-// Example 1 of a simple grammar, generates: a, or (a + a), etc.
-// ----------------------------------------------------------------------
-
-// We just manually define our First and Follow sets for a given grammar,
-// see again diff (2) where we automatically generated these sets.
-
-let grammar_1 = {
-    1: 'S -> F',
-    2: 'S -> (S + F)',
-    3: 'F -> a',
-};
-
-// See https://gist.github.com/DmitrySoshnikov/924ceefb1784b30c5ca6
-// for the sets construction.
-
-let firstSets_1 = {
-    'S': ['a', '('],
-    'F': ['a'],
-    'a': ['a'],
-    '(': ['('],
-};
-
-let followSets_1 = {
-    'S': ['$', '+'],
-    'F': ['$', '+', ')'],
-};
-
-console.log(buildParsingTable(grammar_1, firstSets_1, followSets_1));
-
-// Results:
+/**
+ * Returns First set of RHS (an array of symbols).
+ */
+function getFirstSetOfRHS(RHS, firstSets) {
 
-// S: { a: 1, '(': 2 }
-// F: { a: 3 }
+    // This is the First set of the whole RHS: if `B` in the production
+    // `X -> B C` can be `ε`, then the First set includes First(C) as well,
+    // i.e. RHS[1], etc. If all the symbols can be `ε` (or it's the
+    // ε-production itself), `ε` is in the set too.
+    //
+    // A terminal may be omitted in the First sets, its First set is just
+    // the terminal itself.
 
-// That corresponds to the following table:
+    let first = [];
 
-// +------------------+
-// |    (  )  a  +  $ |
-// +------------------+
-// | S  2  -  1  -  - |
-// | F  -  -  3  -  - |
-// +------------------+
+    for (let i = 0; i < RHS.length; i++) {
+        let firstOfSymbol = Object.prototype.hasOwnProperty.call(firstSets, RHS[i])
+            ? firstSets[RHS[i]]
+            : [RHS[i]];
 
-// ----------------------------------------------------------------------
-// Example 2, for the "calculator" grammar, e.g. (a + a) * a.
-// ----------------------------------------------------------------------
+        firstOfSymbol.forEach(function(terminal) {
+            if (terminal !== EPSILON && first.indexOf(terminal) === -1) {
+                first.push(terminal);
+            }
+        });
 
-let grammar_2 = {
-    1: 'E -> TX',
-    2: 'X -> +TX',
-    3: 'X -> ε',
-    4: 'T -> FY',
-    5: 'Y -> *FY',
-    6: 'Y -> ε',
-    7: 'F -> a',
-    8: 'F -> (E)',
-};
+        if (firstOfSymbol.indexOf(EPSILON) === -1) {
+            return first;
+        }
+    }
 
-// See https://gist.github.com/DmitrySoshnikov/924ceefb1784b30c5ca6
-// for the sets construction.
-
-let firstSets_2 = {
-    'E': ['a', '('],
-    'T': ['a', '('],
-    'F': ['a', '('],
-    'a': ['a'],
-    '(': ['('],
-    'X': ['+', 'ε'],
-    '+': ['+'],
-    'Y': ['*', 'ε'],
-    '*': ['*'],
-};
+    first.push(EPSILON);
+    return first;
+}
 
-let followSets_2 = {
-    'E': ['$', ')'],
-    'X': ['$', ')'],
-    'T': ['+', '$', ')'],
-    'Y': ['+', '$', ')'],
-    'F': ['*', '+', '$', ')'],
+module.exports = {
+    LL1ConflictError,
+    buildParsingTable,
+    toArraySets,
 };
 
-console.log(buildParsingTable(grammar_2,firstSets_2,followSets_2));
-
-// Results:
+// Testing (runs when the file is executed directly: `node ParserTable.js`)
+
+if (require.main === module) {
+
+    // ----------------------------------------------------------------------
+    // Example 1 of a simple grammar, generates: a, or (a + a), etc.
+    // ----------------------------------------------------------------------
+
+    // We just manually define our First and Follow sets for a given grammar,
+    // see again diff (2) where we automatically generated these sets.
+
+    let grammar_1 = {
+        1: 'S -> F',
+        2: 'S -> ( S + F )',
+        3: 'F -> a',
+    };
+
+    // See https://gist.github.com/DmitrySoshnikov/924ceefb1784b30c5ca6
+    // for the sets construction.
+
+    let firstSets_1 = {
+        'S': ['a', '('],
+        'F': ['a'],
+        'a': ['a'],
+        '(': ['('],
+    };
+
+    let followSets_1 = {
+        'S': ['$', '+'],
+        'F': ['$', '+', ')'],
+    };
+
+    console.log(buildParsingTable(grammar_1, firstSets_1, followSets_1));
+
+    // Results:
+
+    // S: { a: 1, '(': 2 }
+    // F: { a: 3 }
+
+    // That corresponds to the following table:
+
+    // +------------------+
+    // |    (  )  a  +  $ |
+    // +------------------+
+    // | S  2  -  1  -  - |
+    // | F  -  -  3  -  - |
+    // +------------------+
+
+    // ----------------------------------------------------------------------
+    // Example 2, for the "calculator" grammar, e.g. (a + a) * a.
+    // ----------------------------------------------------------------------
+
+    // The left recursion (`E -> E + T | T`) is removed by hand here, see
+    // "GrammarTransforms.js" for doing it automatically.
+
+    let grammar_2 = {
+        1: 'E -> T X',
+        2: 'X -> + T X',
+        3: 'X -> ε',
+        4: 'T -> F Y',
+        5: 'Y -> * F Y',
+        6: 'Y -> ε',
+        7: 'F -> a',
+        8: 'F -> ( E )',
+    };
+
+    // See https://gist.github.com/DmitrySoshnikov/924ceefb1784b30c5ca6
+    // for the sets construction.
+
+    let firstSets_2 = {
+        'E': ['a', '('],
+        'T': ['a', '('],
+        'F': ['a', '('],
+        'a': ['a'],
+        '(': ['('],
+        'X': ['+', 'ε'],
+        '+': ['+'],
+        'Y': ['*', 'ε'],
+        '*': ['*'],
+    };
+
+    let followSets_2 = {
+        'E': ['$', ')'],
+        'X': ['$', ')'],
+        'T': ['+', '$', ')'],
+        'Y': ['+', '$', ')'],
+        'F': ['*', '+', '$', ')'],
+    };
+
+    console.log(buildParsingTable(grammar_2,firstSets_2,followSets_2));
+
+    // Results:
+
+    // E: { a: 1, '(': 1 },
+    // X: { '+': 2, '$': 3, ')': 3 },
+    // T: { a: 4, '(': 4 },
+    // Y: { '*': 5, '+': 6, '$': 6, ')': 6 },
+    // F: { a: 7, '(': 8 }
+
+    // That corresponds to the following table:
+
+    // +---------------------+
+    // |    a  +  *  (  )  $ |
+    // +---------------------+
+    // | E  1  -  -  1  -  - |
+    // | X  -  2  -  -  3  3 |
+    // | T  4  -  -  4  -  - |
+    // | Y  -  6  5  -  6  6 |
+    // | F  7  -  -  8  -  - |
+    // +---------------------+
+
+    // ----------------------------------------------------------------------
+    // Example 3, non-LL(1) grammars: the conflicts are reported.
+    // ----------------------------------------------------------------------
+
+    let grammar_3 = {
+        1: 'S -> a S',
+        2: 'S -> a',
+        3: 'S -> A b',
+        4: 'A -> b',
+        5: 'A -> ε',
+    };
+
+    let firstSets_3 = {
+        'S': ['a', 'b'],
+        'A': ['b', 'ε'],
+        'a': ['a'],
+        'b': ['b'],
+    };
+
+    let followSets_3 = {
+        'S': ['$'],
+        'A': ['b'],
+    };
+
+    try {
+        buildParsingTable(grammar_3, firstSets_3, followSets_3);
+    } catch (e) {
+        console.log(e.message);
+        console.log(e.conflicts);
+    }
 
-// E: { a: 1, '(': 1 },
-// X: { '+': 2, '$': 3, ')': 3 },
-// T: { a: 4, '(': 4 },
-// Y: { '*': 5, '+': 6, '$': 6, ')': 6 },
-// F: { a: 7, '(': 8 }
+    // Results:
+
+    // Grammar is not LL(1):
+    //   FIRST/FIRST conflict at [S, a]: productions 1, 2
+    //   FIRST/FOLLOW conflict at [A, b]: productions 4, 5
+    // [
+    //   {nonTerminal: 'S', terminal: 'a', productions: [1, 2], kind: 'FIRST/FIRST'},
+    //   {nonTerminal: 'A', terminal: 'b', productions: [4, 5], kind: 'FIRST/FOLLOW'}
+    // ]
+
+    // ----------------------------------------------------------------------
+    // Example 4, nullable symbols at the beginning of a RHS: `B` in the
+    // production 1 (`B -> D`, and `D -> ε`, so `B` derives ε indirectly).
+    // The sets are built automatically here.
+    // ----------------------------------------------------------------------
+
+    const {buildFirstSets, buildFollowSets} = require('./first and follow.js');
+
+    let grammar_4 = {
+        1: 'S -> B c',
+        2: 'S -> d',
+        3: 'B -> b',
+        4: 'B -> D',
+        5: 'D -> ε',
+    };
+
+    let firstSets_4 = buildFirstSets(grammar_4);
+    let followSets_4 = buildFollowSets(grammar_4, 'S', firstSets_4);
+
+    console.log(buildParsingTable(
+        grammar_4,
+        toArraySets(firstSets_4),
+        toArraySets(followSets_4)
+    ));
+
+    // Results:
+
+    // S: { b: 1, c: 1, d: 2 },
+    // B: { b: 3, c: 4 },
+    // D: { c: 5 }
+
+    // ----------------------------------------------------------------------
+    // Example 5, `X -> Y` goes to [X, a] from both First(Y), and Follow(X):
+    // it's one entry. The only conflict is between the alternatives of `Y`.
+    // ----------------------------------------------------------------------
+
+    let grammar_5 = {
+        1: 'S -> X a',
+        2: 'X -> Y',
+        3: 'Y -> a',
+        4: 'Y -> ε',
+    };
+
+    let firstSets_5 = buildFirstSets(grammar_5);
+
+    try {
+        buildParsingTable(
+            grammar_5,
+            toArraySets(firstSets_5),
+            toArraySets(buildFollowSets(grammar_5, 'S', firstSets_5))
+        );
+    } catch (e) {
+        console.log(e.message);
+    }
 
-// That corresponds to the following table:
+    // Results:
 
-// +---------------------+
-// |    a  +  *  (  )  $ |
-// +---------------------+
-// | E  1  -  -  1  -  - |
-// | X  -  2  -  -  3  3 |
-// | T  4  -  -  4  -  - |
-// | Y  -  6  5  -  6  6 |
-// | F  7  -  -  8  -  - |
-// +---------------------+
\ No newline at end of file
+    // Grammar is not LL(1):
+    //   FIRST/FOLLOW conflict at [Y, a]: productions 3, 4
+}
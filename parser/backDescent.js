@@ -1,14 +1,17 @@
 const assert = require('assert');
+const {Lexer} = require('./Lexer.js');
 
 /*
 	Grammar:
 		S->sAd
 		A->ab|c
 */
+const lexer = Lexer.fromLiterals(['s', 'a', 'b', 'c', 'd']);
+
 class compilerEngile {
     constructor(input) {
         this.input  = input;
-        this.cursor = 0;
+        this.tokens = lexer.tokenize(input);
     }
 
     compilerS() {
@@ -20,7 +23,7 @@ class compilerEngile {
     compilerA() {
         let save;
 
-        return (save = this.saveCursor(this.cursor) , this.compilerA1()) ||
+        return (save = this.saveCursor(this.tokens.mark()) , this.compilerA1()) ||
             (this.backtrack(save) , this.compilerA2());
     }
 
@@ -36,9 +39,10 @@ class compilerEngile {
         try {
             this.compilerS(); // Start !!!
 
-            if (this.input.length !== this.cursor) { // deal with Extra unmatched characters
-                throw Error(`unexpected Extra unmatched characters with ${this.input.slice(this.cursor)}` +
-                    `at position ${this.cursor} in input string: ${this.input}`);
+            if (!this.tokens.isEOF()) { // deal with Extra unmatched characters
+                let token = this.tokens.peek();
+                throw Error(`unexpected Extra unmatched characters with ${this.input.slice(token.offset)} ` +
+                    `at ${token.line}:${token.column} in input string: ${this.input}`);
             }
 
             return true;
@@ -51,9 +55,9 @@ class compilerEngile {
 
     // help function
 
-    eat(inputChar) {
-        if (inputChar === this.input[this.cursor]) {
-            this.cursor++;
+    eat(tokenType) {
+        if (tokenType === this.tokens.peek().type) {
+            this.tokens.next();
 
             return true;
         }
@@ -62,7 +66,7 @@ class compilerEngile {
     }
 
     backtrack(fn) {
-        this.cursor = fn();
+        this.tokens.reset(fn());
     }
 
     saveCursor(cursor) {
@@ -79,4 +83,5 @@ assert(new compilerEngile("sasbd").run() === false);
 assert(new compilerEngile("ssbds").run() === false);
 assert(new compilerEngile("sasds").run() === false);
 assert(new compilerEngile("sabds").run() === false);
-assert(new compilerEngile("sabd").run() === true);
\ No newline at end of file
+assert(new compilerEngile("sabd").run() === true);
+assert(new compilerEngile("s c d").run() === true);
\ No newline at end of file
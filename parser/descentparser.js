@@ -1,14 +1,17 @@
 const assert = require('assert');
-    
+const {Lexer} = require('./Lexer.js');
+
 /*
 	Grammar:
 		S->sAd
 		A->ab|c
 */
+const lexer = Lexer.fromLiterals(['s', 'a', 'b', 'c', 'd']);
+
 class compilerEngile {
     constructor(input) {
         this.input  = input;
-        this.cursor = 0;
+        this.tokens = lexer.tokenize(input);
     }
 
     compilerS() {
@@ -18,10 +21,10 @@ class compilerEngile {
     }
 
     compilerA() {
-        if(this.input[this.cursor] === 'a') {
+        if(this.tokens.peek().type === 'a') {
             this.eat('a');
             this.eat('b');
-        } else if(this.input[this.cursor] === 'c') {
+        } else if(this.tokens.peek().type === 'c') {
             this.eat('c');
         }
     }
@@ -30,9 +33,10 @@ class compilerEngile {
         try {
             this.compilerS(); // Start !!!
 
-            if (this.input.length !== this.cursor) { // deal with Extra unmatched characters
-                throw Error(`unexpected Extra unmatched characters with ${this.input.slice(this.cursor)}` +
-                 `at position ${this.cursor} in inputstring: ${this.input}`);
+            if (!this.tokens.isEOF()) { // deal with Extra unmatched characters
+                let token = this.tokens.peek();
+                throw Error(`unexpected Extra unmatched characters with ${this.input.slice(token.offset)} ` +
+                 `at ${token.line}:${token.column} in inputstring: ${this.input}`);
             }
 
             return true;
@@ -43,11 +47,12 @@ class compilerEngile {
 
     }
 
-    eat(inputChar) {
-        if (inputChar === this.input[this.cursor]) {
-            this.cursor++;
+    eat(tokenType) {
+        let token = this.tokens.peek();
+        if (tokenType === token.type) {
+            this.tokens.next();
         } else {
-            throw Error(`unexpected match ${inputChar} with ${this.input} at position ${this.cursor}`);
+            throw Error(`unexpected match ${tokenType} with ${this.input} at ${token.line}:${token.column}`);
         }
     }
 
@@ -59,4 +64,6 @@ assert(new compilerEngile("sasbd").run() === false);
 assert(new compilerEngile("ssbds").run() === false);
 assert(new compilerEngile("sasds").run() === false);
 assert(new compilerEngile("sabds").run() === false);
-assert(new compilerEngile("sabd").run() === true);
\ No newline at end of file
+assert(new compilerEngile("sabd").run() === true);
+assert(new compilerEngile("s ab // comment\n d").run() === true);
+assert(new compilerEngile("sabx").run() === false);
\ No newline at end of file
@@ -1,5 +1,65 @@
 // Special "empty" symbol.
 let EPSILON = "ε";
+
+/**
+ * We have the following data structure for our grammars:
+ *
+ * let grammar = {
+ *   1: 'S -> F',
+ *   2: 'S -> ( S + F )',
+ *   3: 'F -> a',
+ * };
+ *
+ * Symbols in a production are separated by spaces, so they can be of
+ * any length: `Stmt -> if Expr then Stmt`. Non-terminals are the symbols
+ * which have productions (appear as LHS), all other symbols are terminals.
+ *
+ * All the sets below are computed as a fixed point: the rules are applied
+ * to every production over and over again, until no set changes. Unlike
+ * a recursive computation, this also works for (mutually) recursive
+ * non-terminals, where a set is needed before it's complete, e.g.:
+ *
+ *   A -> B a
+ *   B -> A b
+ *   B -> c
+ *
+ * A production can also be an already parsed one: {LHS: 'S', RHS: ['F']}
+ * (used for the LR grammars, where symbols may contain spaces, see
+ * "LRParsingTable.js").
+ *
+ * The sets are objects: {a: true, '(': true}, without a prototype, so
+ * the symbols like `toString` are not mistaken for its properties.
+ */
+
+/**
+ * Rules for Nullable Set (non-terminals which can derive ε)
+ *
+ * - If there is a Production X → ε then X is nullable
+ * - If there is a Production X → Y1Y2..Yk, and all of Y1..Yk are nullable,
+ *   then X is nullable
+ */
+
+function buildNullableSet(grammar) {
+    let nullable = Object.create(null);
+    let changed = true;
+
+    while (changed) {
+        changed = false;
+
+        for (let k in grammar) {
+            let LHS = getLHS(grammar[k]);
+
+            if (!nullable[LHS] &&
+                getRHS(grammar[k]).every(symbol => nullable[symbol])) {
+                nullable[LHS] = true;
+                changed = true;
+            }
+        }
+    }
+
+    return nullable;
+}
+
 /**
  * Rules for First Sets
  *
@@ -14,99 +74,93 @@ let EPSILON = "ε";
  *       to First(Y1Y2..Yk) as well.
  */
 
-function buildFirstSets(grammar, Sets) {
-    return buildSet(firstOf, grammar, Sets, 0);
-}
-
-function firstOf(symbol, firstSets) {
+function buildFirstSets(grammar) {
+    let firstSets = Object.create(null);
 
-    // A set may already be built from some previous analysis
-    // of a RHS, so check whether it's already there and don't rebuild.
-    if (firstSets[symbol]) {
-        return firstSets[symbol];
+    // Non-terminals start with empty sets.
+    for (let k in grammar) {
+        firstSets[getLHS(grammar[k])] = Object.create(null);
     }
 
-    // Else init and calculate.
-    let first = firstSets[symbol] = {};
-
     // If it's a terminal, its first set is just itself.
-    if (isTerminal(symbol)) {
-        first[symbol] = true;
-        return firstSets[symbol];
+    for (let k in grammar) {
+        getRHS(grammar[k]).forEach(symbol => {
+            if (!firstSets[symbol]) {
+                firstSets[symbol] = Object.create(null);
+                firstSets[symbol][symbol] = true;
+            }
+        });
     }
 
-    let productionsForSymbol = getProductionsForSymbol(symbol,grammar);
-    for (let k in productionsForSymbol) {
-        let production = getRHS(productionsForSymbol[k]);
-
-        for (let i = 0; i < production.length; i++) {
-            let productionSymbol = production[i];
-
-            // Epsilon goes to the first set.
-            if (productionSymbol === EPSILON) {
-                first[EPSILON] = true;
-                break;
-            }
+    let changed = true;
 
-            // Else, the first is a non-terminal,
-            // then first of it goes to first of our symbol
-            // (unless it's an epsilon).
-            let firstOfNonTerminal = firstOf(productionSymbol, firstSets);
+    while (changed) {
+        changed = false;
 
-            // If first non-terminal of the RHS production doesn't
-            // contain epsilon, then just merge its set with ours.
-            if (!firstOfNonTerminal[EPSILON]) {
-                merge(first, firstOfNonTerminal);
-                break;
-            }
+        for (let k in grammar) {
+            let first = firstSets[getLHS(grammar[k])];
+            let firstOfRHS = firstOfSequence(getRHS(grammar[k]), firstSets);
 
-            // Else (we got epsilon in the first non-terminal),
-            //
-            //   - merge all except for epsilon
-            //   - eliminate this non-terminal and advance to the next symbol
-            //     (i.e. don't break this loop)
-            merge(first, firstOfNonTerminal, [EPSILON]);
-            // don't break, go to the next `productionSymbol`.
+            changed = merge(first, firstOfRHS) || changed;
         }
     }
 
-    return first;
+    return firstSets;
 }
 
 /**
- * We have the following data structure for our grammars:
- *
- * let grammar = {
- *   1: 'S -> F',
- *   2: 'S -> (S + F)',
- *   3: 'F -> a',
- * };
- *
- * Given symbol `S`, the function returns `S -> F`,
- * and `S -> (S + F)` productions.
+ * First set of a sequence of symbols, e.g. of a RHS:
+ * First(Y1Y2..Yk) by the rules above. Contains ε, if all
+ * the symbols can be ε (or the sequence is empty).
  */
-function getProductionsForSymbol(symbol,grammar) {
-    let productionsForSymbol = {};
-    for (let k in grammar) {
-        if (grammar[k][0] === symbol) {
-            productionsForSymbol[k] = grammar[k];
+function firstOfSequence(symbols, firstSets) {
+    let first = Object.create(null);
+
+    for (let i = 0; i < symbols.length; i++) {
+        let firstOfSymbol = firstSets[symbols[i]];
+
+        // If the symbol cannot be ε, merge its set and stop.
+        if (!firstOfSymbol[EPSILON]) {
+            merge(first, firstOfSymbol);
+            return first;
         }
+
+        // Else, merge all except for epsilon, and go to the next symbol.
+        merge(first, firstOfSymbol, [EPSILON]);
     }
-    return productionsForSymbol;
+
+    // All the symbols can be ε.
+    first[EPSILON] = true;
+    return first;
 }
 
 /**
  * Given production `S -> F`, returns `S`.
  */
 function getLHS(production) {
-    return production.split('->')[0].replace(/\s+/g, '');
+    if (typeof production !== 'string') {
+        return production.LHS;
+    }
+    return production.slice(0, production.indexOf('->')).trim();
 }
 
 /**
- * Given production `S -> F`, returns `F`.
+ * Given production `S -> ( S + F )`, returns an array of symbols:
+ * `['(', 'S', '+', 'F', ')']`. For an ε-production (`X -> ε`, or
+ * just `X ->`) returns an empty array.
  */
 function getRHS(production) {
-    return production.split('->')[1].replace(/\s+/g, '');
+    if (typeof production !== 'string') {
+        return production.RHS.filter(symbol => symbol !== EPSILON);
+    }
+
+    let RHS = production.slice(production.indexOf('->') + 2).trim();
+
+    if (!RHS || RHS === EPSILON) {
+        return [];
+    }
+
+    return RHS.split(/\s+/);
 }
 
 /**
@@ -119,111 +173,79 @@ function getRHS(production) {
  *   FOLLOW(A) is in FOLLOW(B)
  * - If there is a production A → aBb, where FIRST(b) contains ε,
  *   then everything in FOLLOW(A) is in FOLLOW(B)
+ *
+ * The rules are applied to every occurrence of a non-terminal in a RHS
+ * (`A -> B c B d`), and a production like `B -> a B` just adds FOLLOW(B)
+ * to itself.
  */
 
-function buildFollowSets(grammar, Sets) {
-    return buildSet(followOf,grammar, Sets, 1);
-}
-
-function followOf(symbol, firstSets, followSets) {
+function buildFollowSets(grammar, startSymbol, firstSets = buildFirstSets(grammar)) {
+    let followSets = Object.create(null);
 
-    // If was already calculated from some previous run.
-    if (followSets[symbol]) {
-        return followSets[symbol];
+    for (let k in grammar) {
+        followSets[getLHS(grammar[k])] = Object.create(null);
     }
 
-    // Else init and calculate.
-    let follow = followSets[symbol] = {};
-
     // Start symbol always contain `$` in its follow set.
-    if (symbol === START_SYMBOL) {
-        follow['$'] = true;
-    }
+    followSets[startSymbol]['$'] = true;
 
-    // We need to analyze all productions where our
-    // symbol is used (i.e. where it appears on RHS).
-    let productionsWithSymbol = getProductionsWithSymbol(symbol);
-    for (let k in productionsWithSymbol) {
-        let production = productionsWithSymbol[k];
-        let RHS = getRHS(production);
-
-        // Get the follow symbol of our symbol.
-        let symbolIndex = RHS.indexOf(symbol);
-        let followIndex = symbolIndex + 1;
-
-        // We need to get the following symbol, which can be `$` or
-        // may contain epsilon in its first set. If it contains epsilon, then
-        // we should take the next following symbol: `A -> aBCD`: if `C` (the
-        // follow of `B`) can be epsilon, we should consider first of `D` as well
-        // as the follow of `B`.
-
-        while (true) {
-
-            if (followIndex === RHS.length) { // "$"
-                let LHS = getLHS(production);
-                if (LHS !== symbol) { // To avoid cases like: B -> aB
-                    merge(follow, followOf(LHS, followSets, firstSets));
-                }
-                break;
-            }
+    let changed = true;
 
-            let followSymbol = RHS[followIndex];
+    while (changed) {
+        changed = false;
 
-            // Follow of our symbol is anything in the first of the following symbol:
-            // followOf(symbol) is firstOf(followSymbol), except for epsilon.
-            let firstOfFollow = firstOf(followSymbol, firstSets);
+        for (let k in grammar) {
+            let LHS = getLHS(grammar[k]);
+            let RHS = getRHS(grammar[k]);
 
-            // If there is no epsilon, just merge.
-            if (!firstOfFollow[EPSILON]) {
-                merge(follow, firstOfFollow);
-                break;
-            }
+            RHS.forEach((symbol, index) => {
+                // Terminals have no follow sets.
+                if (!followSets[symbol]) {
+                    return;
+                }
 
-            merge(follow, firstOfFollow, [EPSILON]);
-            followIndex++;
-        }
-    }
+                // Follow of our symbol is anything in the first of the rest
+                // of the RHS, except for epsilon. If the rest can be epsilon
+                // (or it's the end of the RHS), follow of LHS is added too.
+                let firstOfRest = firstOfSequence(RHS.slice(index + 1), firstSets);
 
-    return follow;
-}
+                changed = merge(followSets[symbol], firstOfRest, [EPSILON]) || changed;
 
-function buildSet(builder, grammar, Sets, index) {
-    for (let k in grammar) {
-        builder(grammar[k][0], ...Sets);
+                if (firstOfRest[EPSILON]) {
+                    changed = merge(followSets[symbol], followSets[LHS]) || changed;
+                }
+            });
+        }
     }
 
-    // 0 stand for first Set 1 stands for follow Set
-    return Sets[index];
+    return followSets;
 }
 
 /**
- * Finds productions where a non-terminal is used. E.g., for the
- * symbol `S` it finds production `(S + F)`, and for the symbol `F`
- * it finds productions `F` and `(S + F)`.
+ * A symbol is a terminal if there are no productions for it.
  */
-function getProductionsWithSymbol(symbol) {
-    let productionsWithSymbol = {};
+function isTerminal(symbol, grammar) {
     for (let k in grammar) {
-        let production = grammar[k];
-        let RHS = getRHS(production);
-        if (RHS.indexOf(symbol) !== -1) {
-            productionsWithSymbol[k] = production;
+        if (getLHS(grammar[k]) === symbol) {
+            return false;
         }
     }
-    return productionsWithSymbol;
-}
-
-function isTerminal(symbol) {
-    return !/[A-Z]/.test(symbol);
+    return true;
 }
 
+/**
+ * Merges sets, returns whether anything was added.
+ */
 function merge(to, from, exclude) {
     exclude || (exclude = []);
+    let changed = false;
     for (let k in from) {
-        if (exclude.indexOf(k) === -1) {
+        if (exclude.indexOf(k) === -1 && !to[k]) {
             to[k] = from[k];
+            changed = true;
         }
     }
+    return changed;
 }
 
 function printGrammar(grammar) {
@@ -242,100 +264,165 @@ function printSet(name, set) {
     console.log('');
 }
 
-// Testing
-
-// --------------------------------------------------------------------------
-// Example 1 of a simple grammar, generates: a, or (a + a), etc.
-// --------------------------------------------------------------------------
-
-let grammar = {
-    1: 'S -> F',
-    2: 'S -> (S + F)',
-    3: 'F -> a',
+module.exports = {
+    EPSILON,
+    buildFirstSets,
+    buildFollowSets,
+    buildNullableSet,
+    firstOfSequence,
+    getLHS,
+    getRHS,
+    isTerminal,
 };
 
-let START_SYMBOL = 'S';
-
-printGrammar(grammar);
-
-printSet('First sets', buildFirstSets(grammar, [{}]));
-
-printSet('Follow sets', buildFollowSets(grammar, [buildFirstSets(grammar, [{}]),{}]));
-
-// Results:
-
-// Grammar:
-//
-//    S -> F
-//    S -> (S + F)
-//    F -> a
-//
-// First sets:
-//
-//    S : [ 'a', '(' ]
-//    F : [ 'a' ]
-//    a : [ 'a' ]
-//    ( : [ '(' ]
-//
-// Follow sets:
-//
-//    S : [ '$', '+' ]
-//    F : [ '$', '+', ')' ]
-
-// --------------------------------------------------------------------------
-// Example 2 of a "calculator" grammar (with removed left recursion, which
-// is replaced with a right recursion and epsilons), it generates language
-// for e.g. (a + a) * a.
-// --------------------------------------------------------------------------
-
-let grammar = {
-    1: 'E -> TX',
-    2: 'X -> +TX',
-    3: 'X -> ε',
-    4: 'T -> FY',
-    5: 'Y -> *FY',
-    6: 'Y -> ε',
-    7: 'F -> a',
-    8: 'F -> (E)',
-};
-
-let START_SYMBOL = 'E';
-
-printGrammar(grammar);
-
-printSet('First sets', buildFirstSets(grammar, [{}]));
-
-printSet('Follow sets', buildFollowSets(grammar, [buildFirstSets(grammar, [{}]),{}]));
-
-// Results:
-
-// Grammar:
-//
-//    E -> TX
-//    X -> +TX
-//    X -> ε
-//    T -> FY
-//    Y -> *FY
-//    Y -> ε
-//    F -> a
-//    F -> (E)
-//
-// First sets:
-//
-//    E : [ 'a', '(' ]
-//    T : [ 'a', '(' ]
-//    F : [ 'a', '(' ]
-//    a : [ 'a' ]
-//    ( : [ '(' ]
-//    X : [ '+', 'ε' ]
-//    + : [ '+' ]
-//    Y : [ '*', 'ε' ]
-//    * : [ '*' ]
-//
-// Follow sets:
-//
-//    E : [ '$', ')' ]
-//    X : [ '$', ')' ]
-//    T : [ '+', '$', ')' ]
-//    Y : [ '+', '$', ')' ]
-//    F : [ '*', '+', '$', ')' ]
\ No newline at end of file
+// Testing (runs when the file is executed directly: `node "first and follow.js"`)
+
+if (require.main === module) {
+    // --------------------------------------------------------------------------
+    // Example 1 of a simple grammar, generates: a, or (a + a), etc.
+    // --------------------------------------------------------------------------
+
+    let grammar_1 = {
+        1: 'S -> F',
+        2: 'S -> ( S + F )',
+        3: 'F -> a',
+    };
+
+    printGrammar(grammar_1);
+
+    let firstSets_1 = buildFirstSets(grammar_1);
+
+    printSet('First sets', firstSets_1);
+
+    printSet('Follow sets', buildFollowSets(grammar_1, 'S', firstSets_1));
+
+    // Results:
+
+    // Grammar:
+    //
+    //    S -> F
+    //    S -> ( S + F )
+    //    F -> a
+    //
+    // First sets:
+    //
+    //    S : [ '(', 'a' ]
+    //    F : [ 'a' ]
+    //    ( : [ '(' ]
+    //    + : [ '+' ]
+    //    ) : [ ')' ]
+    //    a : [ 'a' ]
+    //
+    // Follow sets:
+    //
+    //    S : [ '$', '+' ]
+    //    F : [ '$', ')', '+' ]
+
+    // --------------------------------------------------------------------------
+    // Example 2 of a "calculator" grammar (with removed left recursion, which
+    // is replaced with a right recursion and epsilons), it generates language
+    // for e.g. (a + a) * a.
+    // --------------------------------------------------------------------------
+
+    let grammar_2 = {
+        1: 'E -> T X',
+        2: 'X -> + T X',
+        3: 'X -> ε',
+        4: 'T -> F Y',
+        5: 'Y -> * F Y',
+        6: 'Y -> ε',
+        7: 'F -> a',
+        8: 'F -> ( E )',
+    };
+
+    printGrammar(grammar_2);
+
+    let firstSets_2 = buildFirstSets(grammar_2);
+
+    printSet('First sets', firstSets_2);
+
+    printSet('Follow sets', buildFollowSets(grammar_2, 'E', firstSets_2));
+
+    // Results:
+
+    // Grammar:
+    //
+    //    E -> T X
+    //    X -> + T X
+    //    X -> ε
+    //    T -> F Y
+    //    Y -> * F Y
+    //    Y -> ε
+    //    F -> a
+    //    F -> ( E )
+    //
+    // First sets:
+    //
+    //    E : [ 'a', '(' ]
+    //    X : [ '+', 'ε' ]
+    //    T : [ 'a', '(' ]
+    //    Y : [ '*', 'ε' ]
+    //    F : [ 'a', '(' ]
+    //    + : [ '+' ]
+    //    * : [ '*' ]
+    //    a : [ 'a' ]
+    //    ( : [ '(' ]
+    //    ) : [ ')' ]
+    //
+    // Follow sets:
+    //
+    //    E : [ '$', ')' ]
+    //    X : [ '$', ')' ]
+    //    T : [ '+', '$', ')' ]
+    //    Y : [ '+', '$', ')' ]
+    //    F : [ '*', '+', '$', ')' ]
+
+    // --------------------------------------------------------------------------
+    // Example 3 of mutually recursive non-terminals (A and B), and nullable
+    // symbols in the middle of a production (C in `S -> A C d`).
+    // --------------------------------------------------------------------------
+
+    let grammar_3 = {
+        1: 'S -> A C d',
+        2: 'A -> B a',
+        3: 'A -> c',
+        4: 'B -> A b',
+        5: 'B -> e',
+        6: 'C -> f C',
+        7: 'C -> ε',
+    };
+
+    printGrammar(grammar_3);
+
+    let firstSets_3 = buildFirstSets(grammar_3);
+
+    console.log('Nullable:', Object.keys(buildNullableSet(grammar_3)), '\n');
+
+    printSet('First sets', firstSets_3);
+
+    printSet('Follow sets', buildFollowSets(grammar_3, 'S', firstSets_3));
+
+    // Results:
+
+    // Nullable: [ 'C' ]
+    //
+    // First sets:
+    //
+    //    S : [ 'c', 'e' ]
+    //    A : [ 'c', 'e' ]
+    //    B : [ 'c', 'e' ]
+    //    C : [ 'f', 'ε' ]
+    //    d : [ 'd' ]
+    //    a : [ 'a' ]
+    //    c : [ 'c' ]
+    //    b : [ 'b' ]
+    //    e : [ 'e' ]
+    //    f : [ 'f' ]
+    //
+    // Follow sets:
+    //
+    //    S : [ '$' ]
+    //    A : [ 'f', 'd', 'b' ]
+    //    B : [ 'a' ]
+    //    C : [ 'd' ]
+}